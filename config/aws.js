@@ -27,6 +27,7 @@ const S3_CONFIG = {
   bucket: process.env.S3_BUCKET_NAME || 'pixelboard-uploads',
   region: process.env.AWS_REGION || 'us-east-1',
   signedUrlExpires: 60 * 60, // 1 hour
+  presignedPostExpires: 15 * 60, // 15 minutes
 };
 
 // DynamoDB Configuration
@@ -0,0 +1,86 @@
+const os = require('os');
+const { STORAGE_CONFIG } = require('./storage');
+
+// Parse a comma-separated list from the environment
+const listFromEnv = (value, fallback) => (
+  value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback
+);
+
+// Image Configuration
+const IMAGE_CONFIG = {
+  // Where derivatives are generated: 'lambda' or 'local' (worker threads in
+  // this process). Lambda can only read S3, so local storage means local processing.
+  processor: {
+    driver: process.env.IMAGE_PROCESSOR || (STORAGE_CONFIG.driver === 's3' ? 'lambda' : 'local'),
+    workers: parseInt(process.env.IMAGE_PROCESSOR_WORKERS) || Math.max(1, os.cpus().length - 1)
+  },
+  // Formats accepted for upload, as detected from the file's magic bytes
+  allowedFormats: ['jpeg', 'png', 'gif', 'webp', 'heif', 'avif', 'tiff'],
+  // Formats browsers display directly; anything else gets a display rendition
+  webFormats: ['jpeg', 'png', 'gif', 'webp'],
+  // Decompression bomb protection: reject images above this many pixels
+  maxPixels: parseInt(process.env.IMAGE_MAX_PIXELS) || 100 * 1000 * 1000, // 100 megapixels
+  // Responsive renditions generated by the image processor for srcset/<picture>
+  renditions: {
+    widths: listFromEnv(process.env.IMAGE_RENDITION_WIDTHS, ['320', '640', '1280', '2048']).map(Number),
+    formats: listFromEnv(process.env.IMAGE_RENDITION_FORMATS, ['jpeg', 'webp', 'avif']),
+    quality: { jpeg: 80, webp: 80, avif: 50 }
+  },
+  // Animated GIF/WebP originals also get animated WebP thumbnail and display
+  // derivatives, capped in size; the still thumbnail (first frame) is the
+  // poster. Uploads with more frames than maxFrames are rejected.
+  animation: {
+    maxFrames: parseInt(process.env.IMAGE_MAX_FRAMES) || 500,
+    displayMaxDimension: 640,
+    maxBytes: 5 * 1024 * 1024, // 5MB per derivative
+    quality: 70
+  },
+  // How thumbnails and other cover crops pick what to keep when the photo
+  // has no focal point: 'attention' (salient features such as faces and
+  // skin tones), 'entropy' (most detail) or 'center'
+  crop: {
+    strategies: ['attention', 'entropy', 'center'],
+    strategy: process.env.THUMBNAIL_CROP_STRATEGY || 'attention'
+  },
+  // Watermarks applied to display renditions (never to the stored original)
+  watermark: {
+    positions: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
+    defaults: { type: 'text', position: 'bottom-right', opacity: 0.5, scale: 0.2 },
+    maxLogoSize: 2 * 1024 * 1024 // 2MB
+  },
+  // What other users see of a photo's EXIF: everything, everything but the
+  // GPS position, or nothing. Owners always see all of it.
+  exif: {
+    privacyModes: ['keep', 'strip-gps', 'strip-all'],
+    defaultPrivacy: process.env.EXIF_PRIVACY_DEFAULT || 'strip-gps'
+  },
+  // On-the-fly transformations (GET /img/:photoId). Only allow-listed
+  // dimensions are rendered so the cache cannot be flooded with variants.
+  transform: {
+    sizes: listFromEnv(process.env.IMAGE_TRANSFORM_SIZES, ['64', '128', '256', '320', '480', '640', '800', '1024', '1280', '1600', '2048']).map(Number),
+    fits: ['cover', 'contain', 'inside', 'outside', 'fill'],
+    formats: ['jpeg', 'png', 'webp', 'avif'],
+    quality: { min: 30, max: 95, default: 80 },
+    // Responses are revalidated against their ETag once this old, so
+    // trashed photos and superseded edits stop being served
+    cacheMaxAge: parseInt(process.env.IMAGE_TRANSFORM_MAX_AGE) || 60, // 1 minute, in seconds
+    keyPrefix: 'photos/transforms'
+  },
+  // Near-duplicate detection: maximum Hamming distance between perceptual
+  // hashes (out of 64 bits) for "similar photos" and the duplicates report.
+  // Lookups go through 16-bit hash bands, which stay selective up to
+  // maxThreshold.
+  similarity: {
+    similarThreshold: parseInt(process.env.SIMILAR_PHOTO_THRESHOLD) || 12,
+    duplicateThreshold: parseInt(process.env.DUPLICATE_PHOTO_THRESHOLD) || 5,
+    maxThreshold: 15
+  },
+  // Non-destructive edits: how many past recipes each photo keeps
+  edits: {
+    maxHistory: 50
+  }
+};
+
+module.exports = {
+  IMAGE_CONFIG
+};
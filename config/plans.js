@@ -0,0 +1,19 @@
+// Plan Configuration
+// Default storage quotas per plan; admins can override them per user.
+const PLAN_CONFIG = {
+  defaultPlan: 'free',
+  plans: {
+    free: {
+      bytes: parseInt(process.env.FREE_PLAN_QUOTA_BYTES) || 2 * 1024 * 1024 * 1024, // 2GB
+      photos: parseInt(process.env.FREE_PLAN_QUOTA_PHOTOS) || 1000
+    },
+    pro: {
+      bytes: parseInt(process.env.PRO_PLAN_QUOTA_BYTES) || 100 * 1024 * 1024 * 1024, // 100GB
+      photos: parseInt(process.env.PRO_PLAN_QUOTA_PHOTOS) || 50000
+    }
+  }
+};
+
+module.exports = {
+  PLAN_CONFIG
+};
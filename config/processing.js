@@ -0,0 +1,25 @@
+// Processing Configuration
+// Thumbnails and renditions are generated by background jobs. Failed jobs
+// are retried with exponential backoff until maxAttempts is reached.
+const PROCESSING_CONFIG = {
+  enabled: process.env.PROCESSING_WORKER !== 'false',
+  concurrency: parseInt(process.env.PROCESSING_CONCURRENCY) || 2,
+  maxAttempts: parseInt(process.env.PROCESSING_MAX_ATTEMPTS) || 5,
+  pollInterval: 2000, // 2 seconds
+  retryDelay: 10 * 1000, // 10 seconds, doubled per attempt
+  maxRetryDelay: 30 * 60 * 1000, // 30 minutes
+  // Jobs stuck in processing this long (e.g. after a crash) are requeued
+  lockTimeout: 10 * 60 * 1000, // 10 minutes
+  // Finished jobs are removed after this long
+  jobTtl: 7 * 24 * 60 * 60, // 7 days, in seconds
+  // Library-wide reprocessing: originals processed at once per batch
+  reprocessConcurrency: parseInt(process.env.REPROCESS_CONCURRENCY) || 5,
+  maxReprocessConcurrency: 20,
+  // Failures kept in a run's document; later ones are only counted, so the
+  // document stays well under MongoDB's 16MB limit
+  maxReprocessFailures: 1000
+};
+
+module.exports = {
+  PROCESSING_CONFIG
+};
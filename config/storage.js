@@ -0,0 +1,60 @@
+const path = require('path');
+
+// Storage Configuration
+// Defaults to S3 when a bucket is configured, otherwise falls back to the
+// local filesystem so the app runs without AWS credentials.
+const driver = process.env.STORAGE_DRIVER || (process.env.S3_BUCKET_NAME ? 's3' : 'local');
+
+const STORAGE_CONFIG = {
+  driver,
+  maxFileSize: 10 * 1024 * 1024, // 10MB
+  // Resumable (multipart) uploads for large originals
+  multipart: {
+    partSize: 8 * 1024 * 1024, // 8MB, above the S3 5MB minimum and below nginx's body limit
+    maxFileSize: 200 * 1024 * 1024, // 200MB
+    sessionTtl: 24 * 60 * 60 * 1000, // 24 hours
+    cleanupInterval: 60 * 60 * 1000 // 1 hour
+  },
+  // What to do when a user re-uploads identical bytes: 'return' the existing
+  // photo or 'reject' with a 409
+  onDuplicate: process.env.DUPLICATE_UPLOAD_MODE || 'return',
+  // How API responses link to stored files: 'public' object URLs, or
+  // 'signed' presigned URLs so the bucket can stay private (required with
+  // S3, see below). Photo originals are signed in either mode.
+  urls: {
+    mode: process.env.MEDIA_URL_MODE || (driver === 's3' ? 'signed' : 'public'),
+    // 1 hour by default; S3 accepts at most 7 days
+    expiresIn: Math.min(parseInt(process.env.SIGNED_URL_EXPIRES) || 60 * 60, 7 * 24 * 60 * 60),
+    // Signed URLs are reused until half their lifetime is left, so browsers
+    // can cache the images they point at
+    cacheSize: 10000
+  },
+  // Key prefixes `npm run reconcile` lists and may delete orphans from.
+  // Null covers the app's own prefixes (originals and derivatives under
+  // photos/, transform cache, watermark logos), so other data sharing the
+  // bucket or directory is never touched.
+  reconcile: {
+    prefixes: process.env.RECONCILE_PREFIXES
+      ? process.env.RECONCILE_PREFIXES.split(',').map(prefix => prefix.trim()).filter(Boolean)
+      : null
+  },
+  local: {
+    root: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'uploads'),
+    publicPath: '/uploads',
+    // Browser uploads POST here with a policy signed by the local driver
+    uploadPath: '/api/storage/upload',
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    presignedPostExpires: 15 * 60 // 15 minutes
+  }
+};
+
+// Originals stay private only while the bucket does: they may hold EXIF
+// their owner hides or be watermarked, and a public bucket would serve
+// them to anyone who derives a key from a derivative's URL
+if (STORAGE_CONFIG.driver === 's3' && STORAGE_CONFIG.urls.mode === 'public') {
+  throw new Error('MEDIA_URL_MODE=public is not supported with S3 storage: photo originals need a private bucket and signed URLs');
+}
+
+module.exports = {
+  STORAGE_CONFIG
+};
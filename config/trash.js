@@ -0,0 +1,11 @@
+// Trash Configuration
+// Deleted photos and albums stay restorable for the retention period before
+// the purge job removes them and their stored files permanently.
+const TRASH_CONFIG = {
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  purgeInterval: 60 * 60 * 1000 // 1 hour
+};
+
+module.exports = {
+  TRASH_CONFIG
+};
@@ -0,0 +1,21 @@
+// Formats whose frames sharp can read and write as an animation
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// Frame count, total duration (ms) and loop count (0 = forever) of an
+// animated GIF or WebP from its sharp metadata. Null for still images.
+const animationInfo = (metadata) => {
+    if (!metadata || !ANIMATED_FORMATS.includes(metadata.format) || !(metadata.pages > 1)) {
+        return null;
+    }
+
+    const delays = Array.isArray(metadata.delay) ? metadata.delay : [];
+    return {
+        frames: metadata.pages,
+        duration: delays.reduce((total, delay) => total + delay, 0),
+        loop: Number.isInteger(metadata.loop) ? metadata.loop : 0
+    };
+};
+
+module.exports = {
+    animationInfo
+};
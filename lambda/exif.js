@@ -0,0 +1,69 @@
+const exifReader = require('exif-reader');
+
+// Convert EXIF degrees/minutes/seconds to signed decimal degrees
+const toDegrees = (dms, ref) => {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(value => !Number.isFinite(value))) {
+        return undefined;
+    }
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+const toIsoDate = (value) => (
+    value instanceof Date && !Number.isNaN(value.getTime()) ? value.toISOString() : undefined
+);
+
+// Drop unset fields so stored EXIF only lists what the camera recorded
+const compact = (fields) => Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// Parse the raw EXIF block reported by sharp into camera, lens, exposure,
+// capture date and GPS fields. Returns null when the image has no EXIF and
+// an empty object when it has EXIF we cannot read, so callers can still tell
+// the original carries metadata.
+const parseExif = (buffer) => {
+    if (!buffer) return null;
+
+    let tags;
+    try {
+        tags = exifReader(buffer);
+    } catch (error) {
+        return {};
+    }
+
+    const image = tags.image || {};
+    const exif = tags.exif || {};
+    const gps = tags.gps || {};
+
+    const latitude = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    const altitude = Number.isFinite(gps.GPSAltitude)
+        ? (gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude)
+        : undefined;
+
+    return compact({
+        make: image.Make,
+        model: image.Model,
+        lens: exif.LensModel || exif.LensMake,
+        exposureTime: exif.ExposureTime,
+        fNumber: exif.FNumber,
+        iso: exif.ISO,
+        focalLength: exif.FocalLength,
+        takenAt: toIsoDate(exif.DateTimeOriginal || exif.CreateDate || image.ModifyDate),
+        gps: latitude !== undefined && longitude !== undefined
+            ? compact({ latitude, longitude, altitude })
+            : undefined
+    });
+};
+
+// Visual size of an image: EXIF orientations 5-8 are rotated a quarter turn,
+// so their stored width and height are swapped
+const orientedSize = ({ width, height, orientation }) => (
+    orientation >= 5 ? { width: height, height: width } : { width, height }
+);
+
+module.exports = {
+    parseExif,
+    orientedSize
+};
@@ -0,0 +1,607 @@
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const heicDecode = require('heic-decode');
+const { encode: encodeBlurhash } = require('blurhash');
+const { parseExif, orientedSize } = require('./exif');
+const { animationInfo } = require('./animation');
+
+// Formats browsers can display directly; other originals get a display rendition
+const WEB_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+const FORMAT_EXTENSIONS = { jpeg: ['.jpg', '.jpeg'], png: ['.png'], webp: ['.webp'], avif: ['.avif'] };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+// Wrap decoded pixels in an uncompressed PNG carrying the original's ICC
+// profile (iCCP chunk right after IHDR), so sharp converts them to sRGB like
+// any other tagged input. Raw pixels on their own have no colour space.
+const withIccProfile = async (pixels, raw, icc) => {
+    const png = await sharp(pixels, { raw }).png({ compressionLevel: 0 }).toBuffer();
+    const iccp = pngChunk('iCCP', Buffer.concat([Buffer.from('icc\0\0', 'latin1'), zlib.deflateSync(icc)]));
+    // 8-byte signature + 25-byte IHDR chunk
+    return Buffer.concat([png.subarray(0, 33), iccp, png.subarray(33)]);
+};
+
+// Load an image into sharp, upright per its EXIF orientation and converted to
+// sRGB through its embedded ICC profile, so wide-gamut and CMYK originals keep
+// their colours once the profile is dropped from the derivatives. Reported
+// dimensions are the visual (oriented) ones. Prebuilt sharp has no HEVC
+// decoder, so HEIC originals are decoded with libheif-js, which applies the
+// HEIF rotation itself, and handed over as pixels.
+const loadImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        metadata = null;
+    }
+
+    if (!metadata || (metadata.format === 'heif' && metadata.compression === 'hevc')) {
+        try {
+            const { width, height, data } = await heicDecode({ buffer });
+            const pixels = Buffer.from(data);
+            const raw = { width, height, channels: 4 };
+            const icc = metadata && metadata.icc;
+            const tagged = icc ? await withIccProfile(pixels, raw, icc) : null;
+            return {
+                metadata: { format: 'heif', compression: 'hevc', width, height, size: buffer.length, exif: metadata && metadata.exif },
+                image: () => (tagged ? sharp(tagged) : sharp(pixels, { raw })).toColourspace('srgb')
+            };
+        } catch (error) {
+            if (!metadata) throw new Error('Unsupported or corrupt image');
+            throw error;
+        }
+    }
+
+    return {
+        metadata: { ...metadata, ...orientedSize(metadata) },
+        image: () => sharp(buffer).rotate().toColourspace('srgb')
+    };
+};
+
+// Name a derivative after its original, or after the variant alone for a
+// photo's own (e.g. watermarked) copies: a name built from the original's
+// would lead back to the clean shared derivatives by dropping the suffix.
+const derivativeName = (filename, { variant, suffix } = {}) => {
+    if (variant) return variant;
+    const name = path.basename(filename, path.extname(filename));
+    return suffix ? `${name}_${suffix}` : name;
+};
+
+// Build a derivative key next to the original, e.g. photos/thumbnails/thumb_x.jpg.
+// The original extension is kept when it already matches the output format.
+const derivativeKey = (imageKey, folder, prefix, format, naming) => {
+    const pathParts = imageKey.split('/');
+    const filename = pathParts.pop();
+    const directory = pathParts.join('/');
+    const extension = path.extname(filename);
+    const matches = (FORMAT_EXTENSIONS[format] || []).includes(extension.toLowerCase());
+    const outputExtension = matches || !FORMAT_EXTENSIONS[format] ? extension : FORMAT_EXTENSIONS[format][0];
+    return `${directory}/${folder}/${prefix}${derivativeName(filename, naming)}${outputExtension}`;
+};
+
+// Build a responsive rendition key, e.g. photos/renditions/x_640w.webp
+const renditionKey = (imageKey, width, format, naming) => {
+    const pathParts = imageKey.split('/');
+    const filename = pathParts.pop();
+    const directory = pathParts.join('/');
+    return `${directory}/renditions/${derivativeName(filename, naming)}_${width}w${FORMAT_EXTENSIONS[format][0]}`;
+};
+
+const WATERMARK_GRAVITY = {
+    'top-left': 'northwest',
+    'top-right': 'northeast',
+    'bottom-left': 'southwest',
+    'bottom-right': 'southeast',
+    'center': 'centre'
+};
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => (
+    { '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[char]
+));
+
+// Prepare a watermark from its settings. Text is rendered as SVG and logos
+// are loaded once; render() then builds an overlay sized for each output.
+const loadWatermark = async (settings, io) => {
+    const opacity = settings.opacity ?? 0.5;
+    const scale = settings.scale ?? 0.2;
+    let logo = null;
+
+    if (settings.type === 'image') {
+        if (!settings.imageKey) throw new Error('Image watermark has no logo');
+        logo = await io.get(settings.imageKey);
+    } else if (!settings.text) {
+        throw new Error('Text watermark has no text');
+    }
+
+    return {
+        gravity: WATERMARK_GRAVITY[settings.position] || WATERMARK_GRAVITY['bottom-right'],
+        render: async (width, height) => {
+            const margin = Math.round(Math.min(width, height) * 0.02);
+            // The padded overlay must fit inside the image
+            const maxWidth = Math.max(1, width - 2 * margin);
+            const maxHeight = Math.max(1, height - 2 * margin);
+            const overlayWidth = Math.min(maxWidth, Math.max(1, Math.round(width * scale)));
+            let overlay;
+
+            if (logo) {
+                overlay = await sharp(logo)
+                    .resize({ width: overlayWidth, height: maxHeight, fit: 'inside' })
+                    .ensureAlpha()
+                    // Scale the logo's own alpha channel by the opacity
+                    .composite([{
+                        input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+                        raw: { width: 1, height: 1, channels: 4 },
+                        tile: true,
+                        blend: 'dest-in'
+                    }])
+                    .png()
+                    .toBuffer();
+            } else {
+                // Approximate glyph width so the text spans the requested scale
+                const fontSize = Math.max(8, Math.round(overlayWidth / (settings.text.length * 0.6)));
+                const overlayHeight = Math.min(maxHeight, Math.round(fontSize * 1.4));
+                overlay = Buffer.from(
+                    `<svg xmlns="http://www.w3.org/2000/svg" width="${overlayWidth}" height="${overlayHeight}">` +
+                    `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" ` +
+                    `font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+                    `fill="white" fill-opacity="${opacity}" stroke="black" stroke-opacity="${opacity * 0.5}" ` +
+                    `stroke-width="${Math.max(1, Math.round(fontSize / 30))}">${escapeXml(settings.text)}</text></svg>`
+                );
+            }
+
+            // Transparent padding keeps the watermark off the image edge
+            return sharp(overlay)
+                .extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+                .png()
+                .toBuffer();
+        }
+    };
+};
+
+// Encode a resized pipeline, compositing the watermark at the output size
+const renderDerivative = async (pipeline, format, quality, watermark) => {
+    if (!watermark) {
+        return pipeline.toFormat(format, { quality }).toBuffer({ resolveWithObject: true });
+    }
+
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const overlay = await watermark.render(info.width, info.height);
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .composite([{ input: overlay, gravity: watermark.gravity }])
+        .toFormat(format, { quality })
+        .toBuffer({ resolveWithObject: true });
+};
+
+// Standard sepia tone matrix
+const SEPIA_MATRIX = [
+    [0.393, 0.769, 0.189],
+    [0.349, 0.686, 0.168],
+    [0.272, 0.534, 0.131]
+];
+
+// Materialize a pipeline as raw pixels so later steps see its output size
+const toRaw = async (pipeline) => {
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const raw = { width: info.width, height: info.height, channels: info.channels };
+    return { image: () => sharp(data, { raw }), width: info.width, height: info.height };
+};
+
+// Apply a non-destructive edit recipe. Geometry comes first (rotate, flip,
+// then crop in the rotated frame as fractions of its size), followed by tone
+// and filters, so the result never depends on the recipe's key order.
+const applyEdits = async (source, edits) => {
+    let current = source;
+
+    if (edits.rotate) {
+        // Rotate the auto-oriented pixels in a fresh pipeline: on a pipeline
+        // that already auto-orients from EXIF, sharp drops an explicit angle
+        const oriented = await toRaw(current.image());
+        current = await toRaw(oriented.image().rotate(edits.rotate, { background: '#ffffff' }));
+
+        // Quarter turns must swap the dimensions
+        const quarterTurn = Math.abs(edits.rotate) % 180 === 90;
+        if (quarterTurn && (current.width !== oriented.height || current.height !== oriented.width)) {
+            throw new Error(`Rotating by ${edits.rotate} degrees left the image at ${current.width}x${current.height}`);
+        }
+    }
+
+    if (edits.flip && (edits.flip.horizontal || edits.flip.vertical)) {
+        let pipeline = current.image();
+        if (edits.flip.vertical) pipeline = pipeline.flip();
+        if (edits.flip.horizontal) pipeline = pipeline.flop();
+        current = await toRaw(pipeline);
+    }
+
+    if (edits.crop) {
+        const left = Math.round(edits.crop.left * current.width);
+        const top = Math.round(edits.crop.top * current.height);
+        const width = Math.max(1, Math.min(current.width - left, Math.round(edits.crop.width * current.width)));
+        const height = Math.max(1, Math.min(current.height - top, Math.round(edits.crop.height * current.height)));
+        current = await toRaw(current.image().extract({ left, top, width, height }));
+    }
+
+    const { brightness, contrast, saturation, grayscale, sepia, sharpen } = edits;
+    const hasTone = brightness !== undefined || contrast !== undefined || saturation !== undefined;
+    if (hasTone || grayscale || sepia || sharpen) {
+        let pipeline = current.image();
+        if (brightness !== undefined || saturation !== undefined) {
+            pipeline = pipeline.modulate({ brightness: brightness ?? 1, saturation: saturation ?? 1 });
+        }
+        if (contrast !== undefined) {
+            // Stretch around mid-grey
+            pipeline = pipeline.linear(contrast, 128 * (1 - contrast));
+        }
+        if (sepia) {
+            pipeline = pipeline.removeAlpha().recomb(SEPIA_MATRIX);
+        } else if (grayscale) {
+            pipeline = pipeline.grayscale();
+        }
+        if (sharpen) {
+            pipeline = pipeline.sharpen({ sigma: sharpen });
+        }
+        current = await toRaw(pipeline);
+    }
+
+    return current;
+};
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+// BlurHash and dominant colour of the displayed image, computed from a tiny
+// copy. More components run along the longer side.
+const computePlaceholder = async (image, width, height) => {
+    const { data, info } = await image()
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const [componentsX, componentsY] = width >= height ? [4, 3] : [3, 4];
+    const blurhash = encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, componentsX, componentsY);
+    const { dominant } = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).stats();
+
+    return { blurhash, color: toHex(dominant), width, height };
+};
+
+// 64-bit difference hash (dHash) of the upright original as 16 hex digits.
+// Each bit says whether a pixel of a 9x8 greyscale copy is brighter than its
+// right neighbour, so resized or re-compressed copies hash (nearly) alike.
+const computePerceptualHash = async (image) => {
+    const { data, info } = await image()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixel(x, y) > pixel(x + 1, y) ? 1n : 0n);
+        }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+};
+
+// Where cover-fit resizes crop: around the most salient region
+// ('attention'), the busiest one ('entropy'), or the centre
+const cropPosition = (strategy) => (
+    strategy === 'attention' || strategy === 'entropy' ? sharp.strategy[strategy] : 'centre'
+);
+
+// Resize to exactly width x height, cropping around the focal point
+// (fractions of the source image) when there is one, otherwise where the
+// crop strategy puts it
+const coverResize = (pipeline, width, height, { focalPoint, strategy, sourceWidth, sourceHeight }) => {
+    if (!focalPoint || !sourceWidth || !sourceHeight) {
+        return pipeline.resize(width, height, { fit: 'cover', position: cropPosition(strategy) });
+    }
+
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const scaledWidth = Math.max(width, Math.round(sourceWidth * scale));
+    const scaledHeight = Math.max(height, Math.round(sourceHeight * scale));
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+    return pipeline
+        .resize(scaledWidth, scaledHeight, { fit: 'fill' })
+        .extract({
+            left: clamp(Math.round(focalPoint.x * scaledWidth - width / 2), scaledWidth - width),
+            top: clamp(Math.round(focalPoint.y * scaledHeight - height / 2), scaledHeight - height),
+            width,
+            height
+        });
+};
+
+// Encode every frame of an animated original as an animated WebP no larger
+// than `maxBytes`, halving the size until it fits. Null when even a small
+// version is too big, leaving the still poster frame on its own.
+const renderAnimation = async (buffer, resize, { maxBytes, quality, loop }) => {
+    for (let scale = 1; scale >= 0.25; scale /= 2) {
+        const { data, info } = await resize(sharp(buffer, { animated: true }), scale)
+            .webp({ quality, loop, effort: 4 })
+            .toBuffer({ resolveWithObject: true });
+        if (data.length <= maxBytes) {
+            return { data, info };
+        }
+    }
+    return null;
+};
+
+// Upload a generated derivative next to the original
+const putDerivative = (io, key, body, format, imageKey) => io.put(key, body, `image/${format}`, {
+    'original-key': imageKey,
+    'processed-at': new Date().toISOString()
+});
+
+// Generate the requested derivatives of one image. Storage access goes
+// through `io` so the same code runs in Lambda against S3 and in-process
+// against the app's storage driver:
+//   io.get(key) -> Buffer
+//   io.put(key, body, contentType, metadata)
+//   io.log(...args) (optional)
+const processImage = async ({ imageKey, options = {} }, io) => {
+    const log = io.log || (() => {});
+
+    if (!imageKey) {
+        throw new Error('Missing required parameter: imageKey');
+    }
+
+    const imageBuffer = await io.get(imageKey);
+
+    // Get image metadata
+    const { metadata, image: loadOriginal } = await loadImage(imageBuffer);
+    log('Original image metadata:', metadata);
+
+    // Every derivative is rendered from the edited image
+    const { image, width: editedWidth, height: editedHeight } = options.edits
+        ? await applyEdits({ image: loadOriginal, width: metadata.width, height: metadata.height }, options.edits)
+        : { image: loadOriginal, width: metadata.width, height: metadata.height };
+
+    // Edited, watermarked or focal-point-cropped derivatives belong to one
+    // photo and get their own keys so they never overwrite the shared ones.
+    // Watermarks are drawn on every still, thumbnails included, so no clean
+    // copy of a watermarked photo is published.
+    const watermark = options.watermark ? await loadWatermark(options.watermark, io) : null;
+    const variant = watermark || options.edits || options.focalPoint
+        ? (options.variant || crypto.randomBytes(8).toString('hex'))
+        : undefined;
+
+    const results = {
+        originalKey: imageKey,
+        metadata: {
+            width: metadata.width,
+            height: metadata.height,
+            format: metadata.format,
+            size: metadata.size
+        },
+        exif: parseExif(metadata.exif),
+        animation: animationInfo(metadata),
+        placeholder: await computePlaceholder(image, editedWidth, editedHeight),
+        perceptualHash: await computePerceptualHash(loadOriginal)
+    };
+
+    // Generate thumbnail if requested
+    if (options.generateThumbnail !== false) {
+        const thumbnailSize = options.thumbnailSize || { width: 300, height: 300 };
+        const quality = options.quality || 80;
+        const format = options.format || 'jpeg';
+
+        // Process thumbnail, cropped around the subject
+        const thumbnail = coverResize(image(), thumbnailSize.width, thumbnailSize.height, {
+            focalPoint: options.focalPoint,
+            strategy: options.cropStrategy,
+            sourceWidth: editedWidth,
+            sourceHeight: editedHeight
+        });
+        let thumbnailBuffer;
+        if (watermark) {
+            ({ data: thumbnailBuffer } = await renderDerivative(thumbnail, format, quality, watermark));
+        } else if (format === 'jpeg') {
+            thumbnailBuffer = await thumbnail.jpeg({ quality }).toBuffer();
+        } else if (format === 'png') {
+            thumbnailBuffer = await thumbnail.png({ quality }).toBuffer();
+        } else {
+            thumbnailBuffer = await thumbnail.toBuffer();
+        }
+
+        // Generate thumbnail key
+        const thumbnailKey = derivativeKey(imageKey, 'thumbnails', 'thumb_', format, { variant });
+
+        // Upload thumbnail to S3
+        await putDerivative(io, thumbnailKey, thumbnailBuffer, format, imageKey);
+        log('Thumbnail uploaded successfully:', thumbnailKey);
+
+        results.thumbnailKey = thumbnailKey;
+        results.thumbnailMetadata = {
+            width: thumbnailSize.width,
+            height: thumbnailSize.height,
+            format: format,
+            quality: quality
+        };
+    }
+
+    // Animated originals also get animated WebP thumbnail and display
+    // derivatives. Edits and watermarks are only drawn on stills, so edited
+    // or watermarked animations are shown as their poster frame.
+    if (results.animation && !variant && options.animation) {
+        const { displayMaxDimension = 640, maxBytes = 5 * 1024 * 1024, quality = 70 } = options.animation;
+        const settings = { maxBytes, quality, loop: results.animation.loop };
+        const thumbnailSize = options.thumbnailSize || { width: 300, height: 300 };
+
+        const thumbnail = await renderAnimation(imageBuffer, (pipeline, scale) => pipeline.resize(
+            Math.round(thumbnailSize.width * scale),
+            Math.round(thumbnailSize.height * scale),
+            { fit: 'cover', position: 'centre' }
+        ), settings);
+        if (thumbnail) {
+            results.animatedThumbnailKey = derivativeKey(imageKey, 'thumbnails', 'thumb_', 'webp', { suffix: 'animated' });
+            await putDerivative(io, results.animatedThumbnailKey, thumbnail.data, 'webp', imageKey);
+        }
+
+        const display = await renderAnimation(imageBuffer, (pipeline, scale) => pipeline.resize(
+            Math.round(displayMaxDimension * scale),
+            Math.round(displayMaxDimension * scale),
+            { fit: 'inside', withoutEnlargement: true }
+        ), settings);
+        if (display) {
+            results.animatedDisplayKey = derivativeKey(imageKey, 'display', '', 'webp', { suffix: 'animated' });
+            await putDerivative(io, results.animatedDisplayKey, display.data, 'webp', imageKey);
+        }
+        log('Animated derivatives uploaded:', results.animatedThumbnailKey, results.animatedDisplayKey);
+    }
+
+    // Generate a browser-displayable rendition for HEIC/HEIF, AVIF and TIFF
+    // originals, for originals carrying EXIF (derivatives never include
+    // metadata, so this is what privacy settings serve instead of the
+    // original), and for every edited or watermarked photo so the untouched
+    // original is never what gets displayed. The original itself is never
+    // modified.
+    const needsDisplay = variant || metadata.exif || !WEB_FORMATS.includes(metadata.format);
+    if (options.generateDisplay !== false && needsDisplay) {
+        const maxDimension = options.displayMaxDimension || 4096;
+        const quality = options.displayQuality || 85;
+
+        const resized = image()
+            .resize(maxDimension, maxDimension, {
+                fit: 'inside',
+                withoutEnlargement: true
+            });
+        const { data: displayBuffer, info } = await renderDerivative(resized, 'jpeg', quality, watermark);
+
+        const displayKey = derivativeKey(imageKey, 'display', '', 'jpeg', { variant });
+
+        await putDerivative(io, displayKey, displayBuffer, 'jpeg', imageKey);
+        log('Display rendition uploaded successfully:', displayKey);
+
+        results.displayKey = displayKey;
+        results.displayMetadata = {
+            width: info.width,
+            height: info.height,
+            format: 'jpeg',
+            quality: quality
+        };
+    }
+
+    // Responsive renditions: every configured width in every configured
+    // format, aspect ratio preserved. Widths above the original are
+    // replaced by a single rendition at the original width.
+    if (options.renditions) {
+        const { widths = [], formats = ['jpeg'], quality = {} } = options.renditions;
+        const targetWidths = [...new Set(widths.map(width => Math.min(width, editedWidth)))]
+            .sort((a, b) => a - b);
+
+        results.derivatives = {};
+        for (const format of formats) {
+            if (!FORMAT_EXTENSIONS[format]) {
+                log('Skipping unsupported rendition format:', format);
+                continue;
+            }
+
+            results.derivatives[format] = [];
+            for (const width of targetWidths) {
+                const resized = image().resize({ width, withoutEnlargement: true });
+                const { data, info } = await renderDerivative(resized, format, quality[format] || 80, watermark);
+
+                const key = renditionKey(imageKey, width, format, { variant });
+                await putDerivative(io, key, data, format, imageKey);
+
+                results.derivatives[format].push({
+                    key,
+                    width: info.width,
+                    height: info.height,
+                    size: info.size
+                });
+            }
+        }
+        log('Renditions uploaded successfully:', Object.keys(results.derivatives));
+    }
+
+    log('Image processing completed successfully:', results);
+    return results;
+};
+
+// Render one image at a requested size and format (for on-the-fly
+// transformations), applying the photo's edits and watermark, and store it
+// under options.outputKey
+const transformImage = async ({ imageKey, options = {} }, io) => {
+    const { width, height, fit = 'cover', format = 'jpeg', quality = 80, outputKey } = options;
+
+    if (!imageKey || !outputKey) {
+        throw new Error('Missing required parameters: imageKey and options.outputKey');
+    }
+    if (!FORMAT_EXTENSIONS[format]) {
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+
+    const { metadata, image: loadOriginal } = await loadImage(await io.get(imageKey));
+    const edited = options.edits
+        ? await applyEdits({ image: loadOriginal, width: metadata.width, height: metadata.height }, options.edits)
+        : { image: loadOriginal, width: metadata.width, height: metadata.height };
+    const watermark = options.watermark ? await loadWatermark(options.watermark, io) : null;
+
+    // Cover crops to both dimensions follow the focal point or crop strategy
+    const resized = fit === 'cover' && width && height
+        ? coverResize(edited.image(), width, height, {
+            focalPoint: options.focalPoint,
+            strategy: options.cropStrategy,
+            sourceWidth: edited.width,
+            sourceHeight: edited.height
+        })
+        : edited.image().resize(width || null, height || null, { fit, withoutEnlargement: true });
+    const { data, info } = await renderDerivative(resized, format, quality, watermark);
+    await putDerivative(io, outputKey, data, format, imageKey);
+
+    return {
+        key: outputKey,
+        contentType: `image/${format}`,
+        width: info.width,
+        height: info.height,
+        size: info.size
+    };
+};
+
+const OPERATIONS = {
+    process: processImage,
+    transform: transformImage
+};
+
+// Run the operation an event asks for (`process` when not given)
+const handleEvent = (event, io) => {
+    const operation = OPERATIONS[event.operation || 'process'];
+    if (!operation) {
+        throw new Error(`Unknown operation: ${event.operation}`);
+    }
+    return operation(event, io);
+};
+
+module.exports = {
+    processImage,
+    transformImage,
+    handleEvent
+};
@@ -0,0 +1,9 @@
+// Requires an admin user; use after the auth middleware
+const admin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = admin;
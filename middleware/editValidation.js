@@ -0,0 +1,24 @@
+const { body } = require('express-validator');
+
+// Validation chain for a photo edit recipe in a request body
+const editValidation = [
+  body('crop').optional({ nullable: true }).isObject().withMessage('Crop must be an object'),
+  body(['crop.left', 'crop.top']).if(body('crop').isObject())
+    .isFloat({ min: 0, max: 1 }).withMessage('Crop left and top must be between 0 and 1').toFloat(),
+  body(['crop.width', 'crop.height']).if(body('crop').isObject())
+    .isFloat({ min: 0.01, max: 1 }).withMessage('Crop width and height must be between 0.01 and 1').toFloat(),
+  body('crop').optional({ nullable: true }).custom(crop => (
+    crop.left + crop.width <= 1 + 1e-6 && crop.top + crop.height <= 1 + 1e-6
+  )).withMessage('Crop must lie within the image'),
+  body('rotate').optional().isFloat({ min: -360, max: 360 }).withMessage('Rotate must be between -360 and 360 degrees').toFloat(),
+  body('flip').optional({ nullable: true }).isObject().withMessage('Flip must be an object'),
+  body(['flip.horizontal', 'flip.vertical']).optional().isBoolean().withMessage('Flip values must be true or false').toBoolean(),
+  body('brightness').optional().isFloat({ min: 0.1, max: 3 }).withMessage('Brightness must be between 0.1 and 3').toFloat(),
+  body(['contrast', 'saturation']).optional().isFloat({ min: 0, max: 3 }).withMessage('Contrast and saturation must be between 0 and 3').toFloat(),
+  body(['grayscale', 'sepia']).optional().isBoolean().withMessage('Grayscale and sepia must be true or false').toBoolean(),
+  body('sharpen').optional().custom(value => (
+    typeof value === 'boolean' || (Number.isFinite(Number(value)) && value >= 0 && value <= 10)
+  )).withMessage('Sharpen must be true, false or a sigma between 0 and 10')
+];
+
+module.exports = editValidation;
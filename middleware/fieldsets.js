@@ -0,0 +1,17 @@
+const { parseFieldsets, FieldsetError } = require('../services/serializerService');
+
+// Parse `?fields=` and `?include=` into req.fieldsets for responses about
+// `type` ('photos' or 'albums'), rejecting unknown names with a 400
+const fieldsets = (type) => (req, res, next) => {
+  try {
+    req.fieldsets = parseFieldsets(req.query, type);
+    next();
+  } catch (error) {
+    if (error instanceof FieldsetError) {
+      return res.status(400).json({ message: error.message, error: error.toJSON() });
+    }
+    next(error);
+  }
+};
+
+module.exports = fieldsets;
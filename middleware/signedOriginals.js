@@ -0,0 +1,31 @@
+const path = require('path');
+const Photo = require('../models/Photo');
+const { storage } = require('../services/storage');
+
+// Storage key a static request resolves to, normalized the way the static
+// handler resolves it, or null when the path cannot be decoded
+const requestedKey = (requestPath) => {
+  try {
+    return path.posix.normalize(decodeURIComponent(requestPath)).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Guard the local storage route: photo originals are only served through
+// URLs signed by the storage driver, which the API hands out to the viewers
+// allowed to see them. Derivatives are served to anyone.
+const signedOriginals = async (req, res, next) => {
+  try {
+    const key = requestedKey(req.path);
+
+    if (key === null || !(await Photo.exists({ s3Key: key })) || storage.verifyUrl(key, req.query)) {
+      return next();
+    }
+    res.status(403).json({ message: 'Not authorized to access this file' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = signedOriginals;
@@ -0,0 +1,15 @@
+const { body } = require('express-validator');
+const { IMAGE_CONFIG } = require('../config/images');
+
+// Validation chain for watermark settings in a request body
+const watermarkValidation = [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+  body('type').optional().isIn(['text', 'image']).withMessage('Type must be text or image'),
+  body('text').optional().isString().trim().isLength({ max: 100 }).withMessage('Text must be at most 100 characters'),
+  body('position').optional().isIn(IMAGE_CONFIG.watermark.positions)
+    .withMessage(`Position must be one of: ${IMAGE_CONFIG.watermark.positions.join(', ')}`),
+  body('opacity').optional().isFloat({ min: 0, max: 1 }).withMessage('Opacity must be between 0 and 1').toFloat(),
+  body('scale').optional().isFloat({ min: 0.05, max: 1 }).withMessage('Scale must be between 0.05 and 1').toFloat()
+];
+
+module.exports = watermarkValidation;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const watermarkSchema = require('./watermarkSchema');
 
 const albumSchema = new mongoose.Schema({
   title: {
@@ -24,6 +25,17 @@ const albumSchema = new mongoose.Schema({
   coverPhoto: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Photo'
+  },
+  // Overrides the owner's watermark for photos in this album (unset inherits it)
+  watermark: {
+    type: watermarkSchema,
+    default: null
+  },
+  // Set when moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
   }
 }, {
   timestamps: true
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { IMAGE_CONFIG } = require('../config/images');
+const placeholderSchema = require('./placeholderSchema');
 
 const photoSchema = new mongoose.Schema({
   title: {
@@ -44,6 +46,86 @@ const photoSchema = new mongoose.Schema({
   thumbnailS3Key: {
     type: String
   },
+  // Browser-displayable rendition for originals browsers cannot show (HEIC, TIFF, ...)
+  displayS3Key: {
+    type: String
+  },
+  // Animated WebP thumbnail and display rendition of an animated original;
+  // the still thumbnail above is their poster frame
+  animatedThumbnailS3Key: {
+    type: String
+  },
+  animatedDisplayS3Key: {
+    type: String
+  },
+  // Responsive renditions keyed by format (jpeg, webp, avif), smallest first
+  derivatives: {
+    type: Map,
+    of: [{
+      _id: false,
+      key: String,
+      width: Number,
+      height: Number,
+      size: Number
+    }]
+  },
+  // BlurHash and dominant colour shown until the image loads
+  placeholder: {
+    type: placeholderSchema
+  },
+  // Cached on-the-fly transformations, deleted with the photo or when its
+  // edits, watermark or focal point change
+  transformKeys: [{
+    type: String
+  }],
+  // dHash of the unedited image (16 hex digits), for finding near-duplicates
+  perceptualHash: {
+    type: String
+  },
+  // The hash split into four 16-bit bands ("<band>:<4 hex digits>"), so
+  // similar photos can be looked up through an index
+  perceptualHashBands: [{
+    type: String
+  }],
+  // Point cropped derivatives keep in view, as fractions of the displayed
+  // (edited) image. Null lets the crop strategy choose.
+  focalPoint: {
+    type: {
+      _id: false,
+      x: { type: Number, min: 0, max: 1, required: true },
+      y: { type: Number, min: 0, max: 1, required: true }
+    },
+    default: null
+  },
+  // Set while the derivatives above are this photo's own edited,
+  // watermarked or focal-point-cropped copies rather than the shared ones;
+  // identifies what they used
+  renditionVariant: {
+    type: String
+  },
+  // Current non-destructive edit recipe (null shows the original as uploaded)
+  edits: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Every recipe applied to the photo, oldest first
+  editHistory: [{
+    _id: false,
+    version: Number,
+    recipe: mongoose.Schema.Types.Mixed,
+    createdAt: Date
+  }],
+  // SHA-256 of the original bytes, used for deduplication
+  contentHash: {
+    type: String,
+    index: true
+  },
+  // Direct-to-bucket uploads stay pending until finalized
+  uploadStatus: {
+    type: String,
+    enum: ['pending', 'uploaded'],
+    default: 'uploaded'
+  },
   // Processing metadata
   processingStatus: {
     type: String,
@@ -53,11 +135,36 @@ const photoSchema = new mongoose.Schema({
   processingError: {
     type: String
   },
+  // Set by storage reconciliation when the original is missing from storage
+  storageStatus: {
+    type: String,
+    enum: ['ok', 'missing'],
+    default: 'ok'
+  },
   metadata: {
     width: Number,
     height: Number,
     format: String,
-    exif: mongoose.Schema.Types.Mixed
+    // Parsed camera, lens, exposure, capture date and GPS; null when the
+    // original has no EXIF
+    exif: mongoose.Schema.Types.Mixed,
+    // Frame count, total duration (ms) and loop count (0 = forever) of an
+    // animated GIF or WebP; null for still images
+    animation: {
+      type: {
+        _id: false,
+        frames: Number,
+        duration: Number,
+        loop: Number
+      },
+      default: null
+    }
+  },
+  // Overrides the owner's EXIF privacy setting (null uses the owner's)
+  exifPrivacy: {
+    type: String,
+    enum: [...IMAGE_CONFIG.exif.privacyModes, null],
+    default: null
   },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +175,12 @@ const photoSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Album'
   }],
+  // Set when moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   // Analytics fields
   views: {
     type: Number,
@@ -80,4 +193,21 @@ const photoSchema = new mongoose.Schema({
   timestamps: true
 });
 
+photoSchema.index({ uploadedBy: 1, contentHash: 1 });
+photoSchema.index({ s3Key: 1 });
+photoSchema.index({ perceptualHashBands: 1 });
+
+// Index keys of a perceptual hash's 16-bit bands
+photoSchema.statics.hashBands = function(hash) {
+  return hash ? hash.match(/.{4}/g).map((band, index) => `${index}:${band}`) : [];
+};
+
+// Keep the hash bands in step with the hash
+photoSchema.pre('save', function(next) {
+  if (this.isModified('perceptualHash')) {
+    this.perceptualHashBands = this.constructor.hashBands(this.perceptualHash);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Photo', photoSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { PROCESSING_CONFIG } = require('../config/processing');
+
+// Background job generating a photo's thumbnail and renditions
+const processingJobSchema = new mongoose.Schema({
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true,
+    index: true
+  },
+  // `process` reuses derivatives already generated for the same content,
+  // `reprocess` always regenerates them
+  type: {
+    type: String,
+    enum: ['process', 'reprocess'],
+    default: 'process'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: PROCESSING_CONFIG.maxAttempts
+  },
+  // Earliest time the job may (next) run
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a worker claims the job
+  lockedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  // Set once the job completed or ran out of attempts
+  finishedAt: {
+    type: Date,
+    expires: PROCESSING_CONFIG.jobTtl
+  }
+}, {
+  timestamps: true
+});
+
+processingJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A library-wide reprocessing run. Photos are processed in _id order and
+// the last finished one is checkpointed after every batch, so an
+// interrupted run resumes where it stopped.
+const reprocessRunSchema = new mongoose.Schema({
+  // Which photos the run covers
+  filter: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Upload date range (createdAt)
+    since: Date,
+    until: Date,
+    // Only photos missing a thumbnail or renditions
+    missingOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  concurrency: {
+    type: Number,
+    default: 5
+  },
+  status: {
+    type: String,
+    enum: ['running', 'interrupted', 'completed'],
+    default: 'running'
+  },
+  // Matching photos when the run started
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Checkpoint: every photo up to this id has been handled
+  lastPhotoId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // The first maxReprocessFailures failed photos; `failed` counts them all
+  failures: [{
+    _id: false,
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    },
+    key: String,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Why the run stopped, when it was interrupted
+  error: {
+    type: String
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Refreshed with every checkpoint; a running run without one for a while
+  // belongs to a process that died
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ReprocessRun', reprocessRunSchema);
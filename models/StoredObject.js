@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const placeholderSchema = require('./placeholderSchema');
+
+// A stored original shared by every photo with identical content
+const storedObjectSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  },
+  displayKey: {
+    type: String
+  },
+  animatedThumbnailKey: {
+    type: String
+  },
+  animatedDisplayKey: {
+    type: String
+  },
+  // Responsive renditions keyed by format (jpeg, webp, avif), smallest first
+  derivatives: {
+    type: Map,
+    of: [{
+      _id: false,
+      key: String,
+      width: Number,
+      height: Number,
+      size: Number
+    }]
+  },
+  placeholder: {
+    type: placeholderSchema
+  },
+  perceptualHash: {
+    type: String
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  // Number of photos referencing this object
+  refCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('StoredObject', storedObjectSchema);
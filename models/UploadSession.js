@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Resumable upload session backed by a storage multipart upload
+const uploadSessionSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  uploadId: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  partSize: {
+    type: Number,
+    required: true
+  },
+  partCount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'aborted'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PLAN_CONFIG } = require('../config/plans');
+const { IMAGE_CONFIG } = require('../config/images');
+const watermarkSchema = require('./watermarkSchema');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -21,6 +24,49 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     minlength: 6
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(PLAN_CONFIG.plans),
+    default: PLAN_CONFIG.defaultPlan
+  },
+  // Per-user overrides of the plan quota (unset means use the plan default)
+  quota: {
+    bytes: Number,
+    photos: Number
+  },
+  // Running totals of the user's uploaded photos
+  usage: {
+    bytes: {
+      type: Number,
+      default: 0
+    },
+    photos: {
+      type: Number,
+      default: 0
+    },
+    // When the totals were last counted from the user's photos. Accounts
+    // created before quotas have none until their first count; there is no
+    // default, so saving an old account never marks it counted.
+    countedAt: {
+      type: Date
+    }
+  },
+  // Watermark applied to the display renditions of the user's photos
+  watermark: {
+    type: watermarkSchema,
+    default: () => ({})
+  },
+  // EXIF shown to other users for photos without their own setting
+  exifPrivacy: {
+    type: String,
+    enum: IMAGE_CONFIG.exif.privacyModes,
+    default: IMAGE_CONFIG.exif.defaultPrivacy
   }
 }, {
   timestamps: true
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Low-fidelity preview painted while a photo's image loads: a BlurHash, the
+// dominant colour and the displayed size (after edits) for the aspect ratio
+const placeholderSchema = new mongoose.Schema({
+  blurhash: String,
+  color: String,
+  width: Number,
+  height: Number
+}, {
+  _id: false
+});
+
+module.exports = placeholderSchema;
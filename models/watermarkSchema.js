@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { IMAGE_CONFIG } = require('../config/images');
+
+const { positions, defaults } = IMAGE_CONFIG.watermark;
+
+// Watermark settings, embedded in users and (as an override) in albums
+const watermarkSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  type: {
+    type: String,
+    enum: ['text', 'image'],
+    default: defaults.type
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Storage key of an uploaded logo, for image watermarks
+  imageKey: {
+    type: String
+  },
+  position: {
+    type: String,
+    enum: positions,
+    default: defaults.position
+  },
+  opacity: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: defaults.opacity
+  },
+  // Watermark width as a fraction of the image width
+  scale: {
+    type: Number,
+    min: 0.05,
+    max: 1,
+    default: defaults.scale
+  }
+}, {
+  _id: false
+});
+
+module.exports = watermarkSchema;
@@ -3,6 +3,13 @@ class PixelBoard {
         this.currentUser = null;
         this.token = localStorage.getItem('token');
         this.currentPage = 'landing';
+        this.maxDirectUploadSize = 10 * 1024 * 1024;
+        // Extra photo data the grids and photo view need (the API's `include`)
+        this.photoInclude = 'derivatives,animation';
+        this.selectedFiles = [];
+        this.processingPolls = new Set();
+        this.placeholderImages = new Map();
+        this.photos = new Map();
         this.init();
     }
 
@@ -23,6 +30,19 @@ class PixelBoard {
         document.getElementById('closeAuthModal').addEventListener('click', () => this.hideModal('authModal'));
         document.getElementById('closeUploadModal').addEventListener('click', () => this.hideModal('uploadModal'));
         document.getElementById('closeCreateAlbumModal').addEventListener('click', () => this.hideModal('createAlbumModal'));
+        document.getElementById('closePhotoDetailModal').addEventListener('click', () => this.hideModal('photoDetailModal'));
+
+        // Photo details and focal point
+        document.addEventListener('click', (e) => {
+            const card = e.target.closest('.photo-card');
+            if (card) this.showPhotoDetail(card.dataset.photoId);
+        });
+        document.getElementById('photoDetailImg').addEventListener('click', (e) => this.handleFocalPointClick(e));
+
+        // Play animated photos while hovered
+        document.addEventListener('mouseover', (e) => this.toggleAnimation(e, true));
+        document.addEventListener('mouseout', (e) => this.toggleAnimation(e, false));
+        document.getElementById('resetFocalPointBtn').addEventListener('click', () => this.saveFocalPoint(null));
 
         // Auth form
         document.getElementById('authSwitchBtn').addEventListener('click', () => this.toggleAuthMode());
@@ -95,9 +115,9 @@ class PixelBoard {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
             
-            const files = e.dataTransfer.files;
+            const files = Array.from(e.dataTransfer.files)
+                .filter(file => this.guessContentType(file) !== 'application/octet-stream');
             if (files.length > 0) {
-                document.getElementById('photoFile').files = files;
                 this.handleFileSelect({ target: { files } });
             }
         });
@@ -237,19 +257,91 @@ class PixelBoard {
         this.showModal('uploadModal');
         document.getElementById('uploadForm').reset();
         document.getElementById('uploadArea').classList.remove('dragover');
+        this.selectedFiles = [];
+        this.renderSelectedFiles();
     }
 
     handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            const uploadArea = document.getElementById('uploadArea');
-            uploadArea.innerHTML = `
-                <div class="upload-icon">
+        this.selectedFiles = Array.from(e.target.files || []);
+        this.renderSelectedFiles();
+    }
+
+    // Show the selected files; several files get a per-file title field
+    renderSelectedFiles() {
+        const fileList = document.getElementById('uploadFileList');
+        const titleGroup = document.getElementById('photoTitleGroup');
+        const titleInput = document.getElementById('photoTitle');
+        const isBatch = this.selectedFiles.length > 1;
+
+        titleGroup.style.display = isBatch ? 'none' : 'block';
+        titleInput.required = !isBatch;
+
+        if (this.selectedFiles.length === 0) {
+            fileList.innerHTML = '';
+        } else if (!isBatch) {
+            fileList.innerHTML = `
+                <div class="upload-file-item">
                     <i class="fas fa-check-circle" style="color: #34a853;"></i>
+                    <span class="upload-file-name">${this.escapeHtml(this.selectedFiles[0].name)}</span>
                 </div>
-                <p>File selected: ${file.name}</p>
-                <small>Click upload to share your photo</small>
             `;
+        } else {
+            fileList.innerHTML = this.selectedFiles.map((file, index) => `
+                <div class="upload-file-item" data-index="${index}">
+                    <input type="text" class="upload-file-title" placeholder="${this.escapeHtml(file.name)}" maxlength="100">
+                    <span class="upload-file-status"><i class="fas fa-clock"></i></span>
+                </div>
+            `).join('');
+        }
+    }
+
+    setFileStatus(index, success, message) {
+        const item = document.querySelector(`.upload-file-item[data-index="${index}"]`);
+        if (!item) return;
+
+        item.classList.add(success ? 'success' : 'error');
+        item.querySelector('.upload-file-status').innerHTML = success
+            ? '<i class="fas fa-check-circle"></i>'
+            : `<i class="fas fa-exclamation-circle" title="${this.escapeHtml(message || 'Upload failed')}"></i>`;
+    }
+
+    // Upload several files through the batch endpoint and show per-file results
+    async handleBatchUpload(files, description) {
+        const formData = new FormData();
+        const titles = Array.from(document.querySelectorAll('.upload-file-title'))
+            .map(input => input.value.trim());
+
+        formData.append('titles', JSON.stringify(titles));
+        formData.append('descriptions', JSON.stringify(files.map(() => description)));
+        files.forEach(file => formData.append('photos', file));
+
+        this.showLoading();
+
+        try {
+            const data = await this.apiRequest('/api/photos/upload-batch', {
+                method: 'POST',
+                body: formData
+            });
+
+            data.results.forEach(result => this.setFileStatus(result.index, result.success, result.error));
+
+            if (data.failed === 0) {
+                this.hideModal('uploadModal');
+                this.showToast('success', `${data.uploaded} photos uploaded successfully!`);
+            } else {
+                this.showToast('error', data.message);
+            }
+
+            // Refresh current page if showing photos
+            if (data.uploaded > 0 && (this.currentPage === 'home' || this.currentPage === 'myPhotos')) {
+                this.loadPhotos();
+                this.loadUsage();
+            }
+        } catch (error) {
+            console.error('Batch upload error:', error);
+            this.showToast('error', error.message || 'Upload failed. Please try again.');
+        } finally {
+            this.hideLoading();
         }
     }
 
@@ -263,34 +355,42 @@ class PixelBoard {
             return;
         }
 
-        const fileInput = document.getElementById('photoFile');
         const title = document.getElementById('photoTitle').value;
         const description = document.getElementById('photoDescription').value;
 
-        if (!fileInput) {
-            this.showToast('error', 'File input not found');
+        if (!this.selectedFiles || this.selectedFiles.length === 0) {
+            this.showToast('error', 'Please select a file to upload');
             return;
         }
 
-        if (!fileInput.files || !fileInput.files[0]) {
-            this.showToast('error', 'Please select a file to upload');
+        if (this.selectedFiles.length > 1) {
+            await this.handleBatchUpload(this.selectedFiles, description);
             return;
         }
 
-        const formData = new FormData();
-        formData.append('photo', fileInput.files[0]);
-        formData.append('title', title);
-        formData.append('description', description);
+        const file = this.selectedFiles[0];
+        const details = {
+            title,
+            description,
+            filename: file.name,
+            contentType: this.guessContentType(file),
+            size: file.size
+        };
 
         this.showLoading();
 
         try {
-            const response = await fetch('/api/photos/upload', {
+            // Large originals use the resumable multipart protocol
+            const photoId = file.size > this.maxDirectUploadSize
+                ? await this.uploadResumable(file, details)
+                : await this.uploadDirect(file, details);
+
+            // Finalize so the server verifies the file and processes it
+            const response = await fetch(`/api/photos/${photoId}/finalize`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${this.token}`
-                },
-                body: formData
+                }
             });
 
             const data = await response.json();
@@ -302,18 +402,130 @@ class PixelBoard {
                 // Refresh current page if showing photos
                 if (this.currentPage === 'home' || this.currentPage === 'myPhotos') {
                     this.loadPhotos();
+                    this.loadUsage();
                 }
             } else {
                 this.showToast('error', data.message || 'Upload failed');
             }
         } catch (error) {
             console.error('Upload error:', error);
-            this.showToast('error', 'Upload failed. Please try again.');
+            this.showToast('error', error.message || 'Upload failed. Please try again.');
         } finally {
             this.hideLoading();
         }
     }
 
+    // Browsers often leave the type empty for HEIC/HEIF and some TIFF files
+    guessContentType(file) {
+        if (file.type) return file.type;
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        const types = {
+            heic: 'image/heic',
+            heif: 'image/heif',
+            avif: 'image/avif',
+            tif: 'image/tiff',
+            tiff: 'image/tiff'
+        };
+        return types[extension] || 'application/octet-stream';
+    }
+
+    async apiRequest(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                ...options.headers
+            }
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.errors ? data.errors[0].msg : (data.message || 'Upload failed'));
+        }
+        return data;
+    }
+
+    // Upload straight to storage with a presigned POST, returning the photo id
+    async uploadDirect(file, details) {
+        const intent = await this.apiRequest('/api/photos/upload-intent', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(details)
+        });
+
+        // Policy fields must come before the file
+        const formData = new FormData();
+        Object.entries(intent.upload.fields).forEach(([name, value]) => {
+            formData.append(name, value);
+        });
+        formData.append('file', file);
+
+        const storageResponse = await fetch(intent.upload.url, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!storageResponse.ok) {
+            throw new Error('Upload failed');
+        }
+        return intent.photo.id;
+    }
+
+    // Upload in numbered parts, resuming a previous session for the same file
+    async uploadResumable(file, details) {
+        const resumeKey = `upload:${file.name}:${file.size}:${file.lastModified}`;
+        let session = JSON.parse(localStorage.getItem(resumeKey) || 'null');
+        let uploadedParts = new Set();
+
+        if (session) {
+            try {
+                const data = await this.apiRequest(`/api/uploads/${session.id}/parts`);
+                uploadedParts = new Set(data.parts.map(part => part.partNumber));
+            } catch (error) {
+                // Session expired or was aborted - start over
+                session = null;
+            }
+        }
+
+        if (!session) {
+            const data = await this.apiRequest('/api/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(details)
+            });
+            session = data.session;
+            localStorage.setItem(resumeKey, JSON.stringify(session));
+        }
+
+        for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+            if (uploadedParts.has(partNumber)) continue;
+
+            const start = (partNumber - 1) * session.partSize;
+            const chunk = file.slice(start, start + session.partSize);
+            await this.withRetry(() => this.apiRequest(`/api/uploads/${session.id}/parts/${partNumber}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk
+            }));
+        }
+
+        await this.apiRequest(`/api/uploads/${session.id}/complete`, { method: 'POST' });
+        localStorage.removeItem(resumeKey);
+        return session.photoId;
+    }
+
+    async withRetry(operation, attempts = 4) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (attempt >= attempts) throw error;
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
     async showCreateAlbumModal() {
         this.showModal('createAlbumModal');
         await this.loadUserPhotosForSelection();
@@ -321,7 +533,7 @@ class PixelBoard {
 
     async loadUserPhotosForSelection() {
         try {
-            const response = await fetch('/api/photos/my-photos', {
+            const response = await fetch('/api/photos/my-photos?fields=title,thumbnailUrl,s3Location', {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
@@ -338,7 +550,7 @@ class PixelBoard {
 
                 photoSelection.innerHTML = data.photos.map(photo => `
                     <div class="photo-select-item" data-photo-id="${photo.id}">
-                        <img src="${photo.thumbnailPath}" alt="${photo.title}">
+                        <img src="${photo.thumbnailUrl || photo.s3Location}" alt="${this.escapeHtml(photo.title)}">
                         <div class="select-overlay">
                             <i class="fas fa-check"></i>
                         </div>
@@ -417,6 +629,7 @@ class PixelBoard {
             case 'home':
                 document.getElementById('dashboardPage').style.display = 'block';
                 this.loadPhotos();
+                this.loadUsage();
                 break;
             case 'explore':
                 document.getElementById('explorePage').style.display = 'block';
@@ -439,24 +652,56 @@ class PixelBoard {
 
     async loadPhotos() {
         try {
-            const response = await fetch('/api/photos/all');
+            const response = await fetch(`/api/photos/all?include=${this.photoInclude}`);
             const data = await response.json();
             
             const photoGrid = document.getElementById('photoGrid');
             photoGrid.innerHTML = this.renderPhotos(data.photos);
+            this.watchProcessing(data.photos);
         } catch (error) {
             console.error('Error loading photos:', error);
             this.showToast('error', 'Failed to load photos');
         }
     }
 
+    async loadUsage() {
+        const usageBar = document.getElementById('usageBar');
+        if (!this.token) {
+            usageBar.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/auth/me/usage', {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            });
+            if (!response.ok) return;
+
+            const { usage, quota } = await response.json();
+            const percent = Math.min(100, Math.max(usage.bytes / quota.bytes, usage.photos / quota.photos) * 100);
+            const fill = document.getElementById('usageBarFill');
+
+            fill.style.width = `${percent}%`;
+            fill.classList.toggle('warning', percent >= 80 && percent < 100);
+            fill.classList.toggle('full', percent >= 100);
+            document.getElementById('usageBarLabel').textContent =
+                `${this.formatBytes(usage.bytes)} of ${this.formatBytes(quota.bytes)} · ${usage.photos} of ${quota.photos} photos`;
+            usageBar.style.display = 'flex';
+        } catch (error) {
+            console.error('Error loading usage:', error);
+        }
+    }
+
     async loadExplorePhotos() {
         try {
-            const response = await fetch('/api/photos/all');
+            const response = await fetch(`/api/photos/all?include=${this.photoInclude}`);
             const data = await response.json();
             
             const photoGrid = document.getElementById('explorePhotoGrid');
             photoGrid.innerHTML = this.renderPhotos(data.photos);
+            this.watchProcessing(data.photos);
         } catch (error) {
             console.error('Error loading explore photos:', error);
             this.showToast('error', 'Failed to load photos');
@@ -467,7 +712,7 @@ class PixelBoard {
         if (!this.token) return;
 
         try {
-            const response = await fetch('/api/photos/my-photos', {
+            const response = await fetch(`/api/photos/my-photos?include=${this.photoInclude}`, {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
@@ -485,6 +730,7 @@ class PixelBoard {
                 `;
             } else {
                 photoGrid.innerHTML = this.renderPhotos(data.photos);
+                this.watchProcessing(data.photos);
             }
         } catch (error) {
             console.error('Error loading my photos:', error);
@@ -522,9 +768,12 @@ class PixelBoard {
     }
 
     renderPhotos(photos) {
+        photos.forEach(photo => this.photos.set(photo.id, photo));
         return photos.map(photo => `
-            <div class="photo-card" onclick="window.open('${photo.originalPath}', '_blank')">
-                <img src="${photo.thumbnailPath}" alt="${photo.title}" loading="lazy">
+            <div class="photo-card" data-photo-id="${photo.id}"${this.animationSource(photo) ? ` data-animation-src="${this.animationSource(photo)}"` : ''}>
+                ${this.renderPicture(photo, '(max-width: 600px) 100vw, 320px')}
+                ${this.renderProcessingStatus(photo)}
+                ${photo.animated ? '<div class="photo-card-badge">GIF</div>' : ''}
                 <div class="photo-card-content">
                     <h3>${this.escapeHtml(photo.title)}</h3>
                     <p>${this.escapeHtml(photo.description || '')}</p>
@@ -537,12 +786,328 @@ class PixelBoard {
         `).join('');
     }
 
+    // Animated derivative to play over the still, if the photo has one
+    animationSource(photo) {
+        if (!photo.animated || !photo.animation) return null;
+        return photo.animation.url || photo.animation.thumbnailUrl;
+    }
+
+    // Swap in the animation when the pointer enters an animated card and
+    // back to the still when it leaves
+    toggleAnimation(e, play) {
+        const card = e.target.closest('.photo-card[data-animation-src]');
+        if (!card || card.contains(e.relatedTarget)) return;
+
+        const frame = card.querySelector('.photo-frame');
+        const existing = frame.querySelector('.photo-animation');
+        if (!play) {
+            if (existing) existing.remove();
+            return;
+        }
+        if (existing) return;
+
+        const animation = document.createElement('img');
+        animation.className = 'photo-animation';
+        animation.alt = '';
+        animation.style.cssText = frame.querySelector('img') ? frame.querySelector('img').style.cssText : '';
+        animation.onload = () => animation.classList.add('loaded');
+        animation.src = card.dataset.animationSrc;
+        frame.appendChild(animation);
+    }
+
+    // Overlay for photos whose thumbnail and renditions are still being generated
+    renderProcessingStatus(photo) {
+        if (photo.processingStatus === 'pending' || photo.processingStatus === 'processing') {
+            return '<div class="photo-card-status"><i class="fas fa-spinner fa-spin"></i> Processing</div>';
+        }
+        if (photo.processingStatus === 'failed') {
+            return '<div class="photo-card-status failed"><i class="fas fa-exclamation-triangle"></i> Processing failed</div>';
+        }
+        return '';
+    }
+
+    // Poll the current user's photos that are still processing
+    watchProcessing(photos) {
+        if (!this.token || !this.currentUser) return;
+
+        photos
+            .filter(photo => photo.uploadedBy === this.currentUser.username)
+            .filter(photo => photo.processingStatus === 'pending' || photo.processingStatus === 'processing')
+            .forEach(photo => this.pollProcessing(photo.id));
+    }
+
+    // Re-render a photo's tiles once processing has finished
+    async pollProcessing(photoId) {
+        if (this.processingPolls.has(photoId)) return;
+        this.processingPolls.add(photoId);
+
+        try {
+            while (document.querySelector(`.photo-card[data-photo-id="${photoId}"]`)) {
+                await new Promise(resolve => setTimeout(resolve, 3000));
+
+                const response = await fetch(`/api/photos/${photoId}/status`, {
+                    headers: {
+                        'Authorization': `Bearer ${this.token}`
+                    }
+                });
+                if (!response.ok) break;
+
+                const data = await response.json();
+                if (data.status === 'completed' || data.status === 'failed') {
+                    const html = this.renderPhotos([{ ...data.photo, uploadedBy: this.currentUser.username }]);
+                    document.querySelectorAll(`.photo-card[data-photo-id="${photoId}"]`).forEach(card => {
+                        card.outerHTML = html;
+                    });
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Error checking processing status:', error);
+        } finally {
+            this.processingPolls.delete(photoId);
+        }
+    }
+
+    // Responsive image from the photo's renditions: AVIF/WebP sources with a
+    // JPEG fallback, or a plain image for photos without renditions. Sits in
+    // a frame painted with the photo's placeholder until it loads.
+    renderPicture(photo, sizes) {
+        const derivatives = photo.derivatives || {};
+        const alt = this.escapeHtml(photo.title);
+        const srcset = (renditions) => renditions.map(rendition => `${rendition.url} ${rendition.width}w`).join(', ');
+        // Fade in once loaded; keep the focal point in view when cropped
+        const attributes = `onload="this.classList.add('loaded')" style="${this.objectPosition(photo.focalPoint)}"`;
+
+        if (!derivatives.jpeg || derivatives.jpeg.length === 0) {
+            return this.renderPhotoFrame(photo, `<img src="${photo.thumbnailUrl || photo.s3Location}" alt="${alt}" loading="lazy" ${attributes}>`);
+        }
+
+        const sources = ['avif', 'webp']
+            .filter(format => derivatives[format] && derivatives[format].length > 0)
+            .map(format => `<source type="image/${format}" srcset="${srcset(derivatives[format])}" sizes="${sizes}">`)
+            .join('');
+
+        return this.renderPhotoFrame(photo, `
+            <picture>
+                ${sources}
+                <img src="${derivatives.jpeg[0].url}" srcset="${srcset(derivatives.jpeg)}" sizes="${sizes}" alt="${alt}" loading="lazy" ${attributes}>
+            </picture>
+        `);
+    }
+
+    // Frame at the photo's aspect ratio, filled with its dominant colour and
+    // BlurHash while the image is on its way
+    renderPhotoFrame(photo, content) {
+        const placeholder = photo.placeholder;
+        if (!placeholder) {
+            return `<div class="photo-frame">${content}</div>`;
+        }
+
+        const styles = [];
+        if (placeholder.width && placeholder.height) {
+            styles.push(`aspect-ratio: ${placeholder.width} / ${placeholder.height}`, 'height: auto');
+        }
+        if (placeholder.color) {
+            styles.push(`background-color: ${placeholder.color}`);
+        }
+        const image = placeholder.blurhash && this.blurhashImage(placeholder);
+        if (image) {
+            styles.push(`background-image: url('${image}')`);
+        }
+
+        return `<div class="photo-frame" style="${styles.join('; ')}">${content}</div>`;
+    }
+
+    // BlurHash decoded to a small PNG data URL, cached per hash
+    blurhashImage({ blurhash, width, height }) {
+        if (this.placeholderImages.has(blurhash)) {
+            return this.placeholderImages.get(blurhash);
+        }
+
+        let url = null;
+        try {
+            const canvasWidth = 32;
+            const canvasHeight = width && height
+                ? Math.max(1, Math.min(64, Math.round(canvasWidth * height / width)))
+                : canvasWidth;
+            const canvas = document.createElement('canvas');
+            canvas.width = canvasWidth;
+            canvas.height = canvasHeight;
+            const context = canvas.getContext('2d');
+            const imageData = context.createImageData(canvasWidth, canvasHeight);
+            imageData.data.set(this.decodeBlurhash(blurhash, canvasWidth, canvasHeight));
+            context.putImageData(imageData, 0, 0);
+            url = canvas.toDataURL();
+        } catch (error) {
+            console.error('BlurHash decode error:', error);
+        }
+
+        this.placeholderImages.set(blurhash, url);
+        return url;
+    }
+
+    // Decode a BlurHash into RGBA pixels (see https://github.com/woltapp/blurhash)
+    decodeBlurhash(hash, width, height) {
+        const digits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+        const decode83 = (str) => [...str].reduce((value, char) => value * 83 + digits.indexOf(char), 0);
+        const toLinear = (value) => {
+            const v = value / 255;
+            return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        const toSrgb = (value) => {
+            const v = Math.max(0, Math.min(1, value));
+            return v <= 0.0031308
+                ? Math.round(v * 12.92 * 255 + 0.5)
+                : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+        };
+        const signPow = (value, exp) => Math.sign(value) * Math.pow(Math.abs(value), exp);
+
+        const sizeFlag = decode83(hash[0]);
+        const numX = (sizeFlag % 9) + 1;
+        const numY = Math.floor(sizeFlag / 9) + 1;
+        if (hash.length !== 4 + 2 * numX * numY) {
+            throw new Error('Invalid BlurHash length');
+        }
+        const maximumValue = (decode83(hash[1]) + 1) / 166;
+
+        const dc = decode83(hash.substring(2, 6));
+        const colors = [[toLinear(dc >> 16), toLinear((dc >> 8) & 255), toLinear(dc & 255)]];
+        for (let i = 1; i < numX * numY; i++) {
+            const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+            colors.push([
+                Math.floor(value / (19 * 19)),
+                Math.floor(value / 19) % 19,
+                value % 19
+            ].map(quant => signPow((quant - 9) / 9, 2) * maximumValue));
+        }
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                for (let j = 0; j < numY; j++) {
+                    for (let i = 0; i < numX; i++) {
+                        const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+                        const color = colors[i + j * numX];
+                        r += color[0] * basis;
+                        g += color[1] * basis;
+                        b += color[2] * basis;
+                    }
+                }
+                const offset = 4 * (x + y * width);
+                pixels[offset] = toSrgb(r);
+                pixels[offset + 1] = toSrgb(g);
+                pixels[offset + 2] = toSrgb(b);
+                pixels[offset + 3] = 255;
+            }
+        }
+
+        return pixels;
+    }
+
+    // Keep a photo's focal point in view when the browser crops it
+    objectPosition(focalPoint) {
+        return focalPoint ? `object-position: ${focalPoint.x * 100}% ${focalPoint.y * 100}%` : '';
+    }
+
+    // Larger view of a photo. Owners can click it to set the focal point
+    // that thumbnails and other crops keep in view.
+    showPhotoDetail(photoId) {
+        const photo = this.photos.get(photoId);
+        if (!photo) return;
+
+        const editable = Boolean(this.currentUser) && photo.uploadedBy === this.currentUser.username;
+        const jpeg = (photo.derivatives && photo.derivatives.jpeg) || [];
+        const image = document.getElementById('photoDetailImg');
+
+        this.detailPhotoId = photoId;
+        document.getElementById('photoDetailTitle').textContent = photo.title;
+        document.getElementById('photoDetailDescription').textContent = photo.description || '';
+        image.src = jpeg.length > 0 ? jpeg[jpeg.length - 1].url : photo.s3Location;
+        image.alt = photo.title;
+        document.getElementById('photoDetailImage').classList.toggle('editable', editable);
+        document.getElementById('photoDetailFocus').classList.toggle('show', editable);
+        document.getElementById('photoDetailOriginal').href = photo.originalLocation || photo.s3Location;
+
+        image.onload = () => this.renderFocalPointMarker(photo.focalPoint);
+        this.renderFocalPointMarker(photo.focalPoint);
+        this.showModal('photoDetailModal');
+    }
+
+    // Place the marker over the displayed image (which may be letterboxed)
+    renderFocalPointMarker(focalPoint) {
+        const image = document.getElementById('photoDetailImg');
+        const marker = document.getElementById('focalPointMarker');
+        const box = this.imageContentBox(image);
+
+        if (!focalPoint || !box) {
+            marker.style.display = 'none';
+            return;
+        }
+        marker.style.left = `${image.offsetLeft + box.left + focalPoint.x * box.width}px`;
+        marker.style.top = `${image.offsetTop + box.top + focalPoint.y * box.height}px`;
+        marker.style.display = 'block';
+    }
+
+    // Where the picture sits inside an object-fit: contain image element
+    imageContentBox(image) {
+        if (!image.naturalWidth || !image.clientWidth) return null;
+        const scale = Math.min(image.clientWidth / image.naturalWidth, image.clientHeight / image.naturalHeight);
+        const width = image.naturalWidth * scale;
+        const height = image.naturalHeight * scale;
+        return { left: (image.clientWidth - width) / 2, top: (image.clientHeight - height) / 2, width, height };
+    }
+
+    handleFocalPointClick(e) {
+        if (!document.getElementById('photoDetailImage').classList.contains('editable')) return;
+
+        const image = e.currentTarget;
+        const box = this.imageContentBox(image);
+        if (!box) return;
+
+        const rect = image.getBoundingClientRect();
+        const x = (e.clientX - rect.left - box.left) / box.width;
+        const y = (e.clientY - rect.top - box.top) / box.height;
+        if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+        this.saveFocalPoint({ x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 });
+    }
+
+    // Save (or clear, with null) the focal point and refresh the photo's cards
+    async saveFocalPoint(focalPoint) {
+        const photoId = this.detailPhotoId;
+        this.renderFocalPointMarker(focalPoint);
+        this.showLoading();
+
+        try {
+            const data = await this.apiRequest(`/api/photos/${photoId}/focal-point`, focalPoint ? {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(focalPoint)
+            } : { method: 'DELETE' });
+
+            const photo = { ...this.photos.get(photoId), ...data.photo };
+            const html = this.renderPhotos([photo]);
+            document.querySelectorAll(`.photo-card[data-photo-id="${photoId}"]`).forEach(card => {
+                card.outerHTML = html;
+            });
+            this.showToast('success', focalPoint ? 'Focal point saved' : 'Using automatic cropping');
+        } catch (error) {
+            this.renderFocalPointMarker(this.photos.get(photoId).focalPoint);
+            this.showToast('error', error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     renderAlbums(albums) {
         return albums.map(album => `
             <div class="album-card">
                 <div class="album-cover">
                     ${album.coverPhoto 
-                        ? `<img src="${album.coverPhoto}" alt="${album.title}" loading="lazy">`
+                        ? `<img src="${album.coverPhoto}" alt="${album.title}" loading="lazy" style="${this.objectPosition(album.coverFocalPoint)}">`
                         : '<i class="fas fa-folder"></i>'
                     }
                 </div>
@@ -612,6 +1177,17 @@ class PixelBoard {
         return div.innerHTML;
     }
 
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
     formatDate(dateString) {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-US', { 
@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const ReprocessRun = require('../models/ReprocessRun');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { PLAN_CONFIG } = require('../config/plans');
+const { PROCESSING_CONFIG } = require('../config/processing');
+const { QuotaService } = require('../services/quotaService');
+const { LibraryReprocessService } = require('../services/reprocessService');
+
+const router = express.Router();
+
+const quotaService = new QuotaService();
+const reprocessService = new LibraryReprocessService();
+
+const quotaResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  plan: user.plan,
+  quotaOverride: {
+    bytes: user.quota?.bytes ?? null,
+    photos: user.quota?.photos ?? null
+  },
+  quota: quotaService.getQuota(user),
+  usage: quotaService.getUsage(user)
+});
+
+// Get a user's quota and usage
+router.get('/users/:id/quota', auth, admin, async (req, res) => {
+  try {
+    let user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (await quotaService.ensureCounted(user._id)) {
+      user = await User.findById(user._id);
+    }
+
+    res.json({ user: quotaResponse(user) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a user's plan or override their quota (null clears an override)
+router.put('/users/:id/quota', auth, admin, [
+  body('plan').optional().isIn(Object.keys(PLAN_CONFIG.plans)).withMessage('Unknown plan'),
+  body('bytes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Bytes must be a non-negative integer').toInt(),
+  body('photos').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Photos must be a non-negative integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { plan, bytes, photos } = req.body;
+    if (plan !== undefined) user.plan = plan;
+    if (bytes !== undefined) user.set('quota.bytes', bytes === null ? undefined : bytes);
+    if (photos !== undefined) user.set('quota.photos', photos === null ? undefined : photos);
+
+    await user.save();
+
+    res.json({
+      message: 'Quota updated successfully',
+      user: quotaResponse(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rebuild a user's usage totals from their photos
+router.post('/users/:id/usage/recalculate', auth, admin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const usage = await quotaService.recalculate(user._id);
+    res.json({ usage });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run a reprocessing run in the background. It checkpoints as it goes, so
+// if this process dies it can be resumed here or with the CLI.
+const runInBackground = (run) => {
+  reprocessService.execute(run).catch(error => {
+    console.error(`Reprocess run ${run._id} failed:`, error);
+  });
+};
+
+// Start reprocessing all photos, or those of one user, uploaded in a date
+// range, or missing derivatives
+router.post('/reprocess', auth, admin, [
+  body('user').optional().isMongoId().withMessage('User must be a user id'),
+  body('since').optional().isISO8601().withMessage('Since must be a date').toDate(),
+  body('until').optional().isISO8601().withMessage('Until must be a date').toDate(),
+  body('missingOnly').optional().isBoolean().withMessage('missingOnly must be a boolean').toBoolean(),
+  body('concurrency').optional()
+    .isInt({ min: 1, max: PROCESSING_CONFIG.maxReprocessConcurrency })
+    .withMessage(`Concurrency must be from 1 to ${PROCESSING_CONFIG.maxReprocessConcurrency}`)
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user, since, until, missingOnly, concurrency } = req.body;
+    const run = await reprocessService.start(
+      { user, since, until, missingOnly },
+      { concurrency, startedBy: req.user._id }
+    );
+    runInBackground(run);
+
+    res.status(202).json({
+      message: 'Reprocessing started',
+      run: reprocessService.report(run)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recent reprocessing runs, without their failure lists
+router.get('/reprocess', auth, admin, async (req, res) => {
+  try {
+    const runs = await ReprocessRun.find().sort({ createdAt: -1 }).limit(20);
+
+    res.json({
+      runs: runs.map(run => {
+        const { failures, ...summary } = reprocessService.report(run);
+        return summary;
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A reprocessing run's progress and failure report
+router.get('/reprocess/:id', auth, admin, async (req, res) => {
+  try {
+    const run = await ReprocessRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ message: 'Reprocess run not found' });
+    }
+
+    res.json({ run: reprocessService.report(run) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Continue an interrupted run from its checkpoint
+router.post('/reprocess/:id/resume', auth, admin, async (req, res) => {
+  try {
+    const run = await reprocessService.claim(req.params.id);
+
+    if (!run) {
+      return res.status(409).json({ message: 'Run is finished, missing, or still running' });
+    }
+    runInBackground(run);
+
+    res.status(202).json({
+      message: 'Reprocessing resumed',
+      run: reprocessService.report(run)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,40 @@ const { body, validationResult } = require('express-validator');
 const Album = require('../models/Album');
 const Photo = require('../models/Photo');
 const auth = require('../middleware/auth');
+const watermarkValidation = require('../middleware/watermarkValidation');
+const fieldsets = require('../middleware/fieldsets');
+const { TrashService } = require('../services/trashService');
+const { WatermarkService } = require('../services/watermarkService');
+const { PhotoRenditionService } = require('../services/renditionService');
+const { ResponseSerializer, parseFieldsets } = require('../services/serializerService');
 
 const router = express.Router();
 
+const trashService = new TrashService();
+const watermarkService = new WatermarkService();
+const renditionService = new PhotoRenditionService();
+const serializer = new ResponseSerializer();
+
+// Re-render watermarks in the background for photos whose albums changed
+const rerenderPhotos = (query) => {
+  renditionService.applyAll(query).catch(error => {
+    console.error('Watermark re-render error:', error);
+  });
+};
+
+// Trashed photos stay in their albums but are hidden until restored
+const visiblePhotos = (select) => ({ path: 'photos', select, match: { deletedAt: null } });
+const visibleCover = { path: 'coverPhoto', select: 'thumbnailS3Key focalPoint', match: { deletedAt: null } };
+
+// Populate what the serializer needs, loading photos in full only when
+// they are included
+const populateAlbums = (query, { include }) => query
+  .populate(include.has('photos')
+    ? { ...visiblePhotos(), populate: { path: 'uploadedBy', select: 'username exifPrivacy' } }
+    : visiblePhotos('_id'))
+  .populate(visibleCover)
+  .populate('createdBy', 'username');
+
 // Create album
 router.post('/create', auth, [
   body('title').isLength({ min: 1 }).trim().withMessage('Title is required'),
@@ -24,7 +55,8 @@ router.post('/create', auth, [
     if (photoIds && photoIds.length > 0) {
       const photos = await Photo.find({
         _id: { $in: photoIds },
-        uploadedBy: req.user._id
+        uploadedBy: req.user._id,
+        deletedAt: null
       });
 
       if (photos.length !== photoIds.length) {
@@ -50,22 +82,12 @@ router.post('/create', auth, [
       );
     }
 
-    const populatedAlbum = await Album.findById(album._id)
-      .populate('photos', 'title thumbnailPath')
-      .populate('coverPhoto', 'thumbnailPath')
-      .populate('createdBy', 'username');
+    const albumFieldsets = parseFieldsets({}, 'albums');
+    const populatedAlbum = await populateAlbums(Album.findById(album._id), albumFieldsets);
 
     res.status(201).json({
       message: 'Album created successfully',
-      album: {
-        id: populatedAlbum._id,
-        title: populatedAlbum.title,
-        description: populatedAlbum.description,
-        photoCount: populatedAlbum.photos.length,
-        coverPhoto: populatedAlbum.coverPhoto?.thumbnailPath || null,
-        createdBy: populatedAlbum.createdBy.username,
-        createdAt: populatedAlbum.createdAt
-      }
+      album: await serializer.album(populatedAlbum, { viewer: req.user, fieldsets: albumFieldsets })
     });
   } catch (error) {
     console.error(error);
@@ -74,25 +96,14 @@ router.post('/create', auth, [
 });
 
 // Get user's albums
-router.get('/my-albums', auth, async (req, res) => {
+router.get('/my-albums', auth, fieldsets('albums'), async (req, res) => {
   try {
-    const albums = await Album.find({ createdBy: req.user._id })
-      .sort({ createdAt: -1 })
-      .populate('photos', 'title thumbnailPath')
-      .populate('coverPhoto', 'thumbnailPath')
-      .populate('createdBy', 'username');
-
-    const albumsData = albums.map(album => ({
-      id: album._id,
-      title: album.title,
-      description: album.description,
-      photoCount: album.photos.length,
-      coverPhoto: album.coverPhoto?.thumbnailPath || null,
-      createdBy: album.createdBy.username,
-      createdAt: album.createdAt
-    }));
-
-    res.json({ albums: albumsData });
+    const albums = await populateAlbums(
+      Album.find({ createdBy: req.user._id, deletedAt: null }).sort({ createdAt: -1 }),
+      req.fieldsets
+    );
+
+    res.json({ albums: await serializer.albums(albums, { viewer: req.user, fieldsets: req.fieldsets }) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -100,26 +111,14 @@ router.get('/my-albums', auth, async (req, res) => {
 });
 
 // Get all albums (public)
-router.get('/all', async (req, res) => {
+router.get('/all', fieldsets('albums'), async (req, res) => {
   try {
-    const albums = await Album.find()
-      .sort({ createdAt: -1 })
-      .populate('photos', 'title thumbnailPath')
-      .populate('coverPhoto', 'thumbnailPath')
-      .populate('createdBy', 'username')
-      .limit(20);
-
-    const albumsData = albums.map(album => ({
-      id: album._id,
-      title: album.title,
-      description: album.description,
-      photoCount: album.photos.length,
-      coverPhoto: album.coverPhoto?.thumbnailPath || null,
-      createdBy: album.createdBy.username,
-      createdAt: album.createdAt
-    }));
-
-    res.json({ albums: albumsData });
+    const albums = await populateAlbums(
+      Album.find({ deletedAt: null }).sort({ createdAt: -1 }).limit(20),
+      req.fieldsets
+    );
+
+    res.json({ albums: await serializer.albums(albums, { fieldsets: req.fieldsets }) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -127,35 +126,16 @@ router.get('/all', async (req, res) => {
 });
 
 // Get single album with photos
-router.get('/:id', async (req, res) => {
+router.get('/:id', fieldsets('albums'), async (req, res) => {
   try {
-    const album = await Album.findById(req.params.id)
-      .populate('photos', 'title description thumbnailPath filename createdAt')
-      .populate('createdBy', 'username');
+    const albumFieldsets = { ...req.fieldsets, include: new Set([...req.fieldsets.include, 'photos']) };
+    const album = await populateAlbums(Album.findById(req.params.id), albumFieldsets);
 
-    if (!album) {
+    if (!album || album.deletedAt) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
-    const photosData = album.photos.map(photo => ({
-      id: photo._id,
-      title: photo.title,
-      description: photo.description,
-      thumbnailPath: photo.thumbnailPath,
-      originalPath: `/uploads/${photo.filename}`,
-      createdAt: photo.createdAt
-    }));
-
-    res.json({
-      album: {
-        id: album._id,
-        title: album.title,
-        description: album.description,
-        createdBy: album.createdBy.username,
-        createdAt: album.createdAt,
-        photos: photosData
-      }
-    });
+    res.json({ album: await serializer.album(album, { fieldsets: albumFieldsets }) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -175,7 +155,7 @@ router.post('/:id/add-photos', auth, [
     const { photoIds } = req.body;
     const album = await Album.findById(req.params.id);
 
-    if (!album) {
+    if (!album || album.deletedAt) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
@@ -187,7 +167,8 @@ router.post('/:id/add-photos', auth, [
     // Verify photos belong to user
     const photos = await Photo.find({
       _id: { $in: photoIds },
-      uploadedBy: req.user._id
+      uploadedBy: req.user._id,
+      deletedAt: null
     });
 
     if (photos.length !== photoIds.length) {
@@ -211,6 +192,10 @@ router.post('/:id/add-photos', auth, [
       { $push: { albums: album._id } }
     );
 
+    if (album.watermark) {
+      rerenderPhotos({ _id: { $in: newPhotoIds } });
+    }
+
     res.json({ message: 'Photos added to album successfully' });
   } catch (error) {
     console.error(error);
@@ -231,7 +216,7 @@ router.post('/:id/remove-photos', auth, [
     const { photoIds } = req.body;
     const album = await Album.findById(req.params.id);
 
-    if (!album) {
+    if (!album || album.deletedAt) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
@@ -256,6 +241,10 @@ router.post('/:id/remove-photos', auth, [
       { $pull: { albums: album._id } }
     );
 
+    if (album.watermark) {
+      rerenderPhotos({ _id: { $in: photoIds } });
+    }
+
     res.json({ message: 'Photos removed from album successfully' });
   } catch (error) {
     console.error(error);
@@ -263,12 +252,82 @@ router.post('/:id/remove-photos', auth, [
   }
 });
 
-// Delete album
+// Override the owner's watermark for photos in this album
+router.put('/:id/watermark', auth, watermarkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const album = await Album.findById(req.params.id);
+
+    if (!album || album.deletedAt) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    // Check if user owns the album
+    if (album.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to modify this album' });
+    }
+
+    // A new override starts from the owner's settings, including their logo
+    if (!album.watermark) {
+      album.watermark = req.user.watermark.toObject();
+    }
+    watermarkService.updateSettings(album.watermark, req.body);
+
+    const missing = watermarkService.missingRequirement(album.watermark);
+    if (missing) {
+      return res.status(400).json({ message: missing });
+    }
+
+    await album.save();
+    rerenderPhotos({ albums: album._id });
+
+    res.json({
+      message: 'Album watermark updated',
+      watermark: await watermarkService.serialize(album.watermark)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the album's watermark override so photos use the owner's settings
+router.delete('/:id/watermark', auth, async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id);
+
+    if (!album || album.deletedAt) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    // Check if user owns the album
+    if (album.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to modify this album' });
+    }
+
+    if (album.watermark) {
+      album.watermark = null;
+      await album.save();
+      rerenderPhotos({ albums: album._id });
+    }
+
+    res.json({ message: 'Album watermark override removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move album to the trash
 router.delete('/:id', auth, async (req, res) => {
   try {
     const album = await Album.findById(req.params.id);
 
-    if (!album) {
+    if (!album || album.deletedAt) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
@@ -277,15 +336,17 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this album' });
     }
 
-    // Remove album reference from photos
-    await Photo.updateMany(
-      { _id: { $in: album.photos } },
-      { $pull: { albums: album._id } }
-    );
+    // Photos keep their album reference so a restore brings them back
+    await trashService.trash(album);
 
-    await Album.findByIdAndDelete(req.params.id);
+    if (album.watermark) {
+      rerenderPhotos({ albums: album._id });
+    }
 
-    res.json({ message: 'Album deleted successfully' });
+    res.json({
+      message: 'Album moved to trash',
+      purgeAt: trashService.purgeDate(album.deletedAt)
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
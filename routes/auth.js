@@ -2,10 +2,30 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Album = require('../models/Album');
 const auth = require('../middleware/auth');
+const watermarkValidation = require('../middleware/watermarkValidation');
+const { logoUpload, storage } = require('../services/s3Service');
+const { QuotaService } = require('../services/quotaService');
+const { WatermarkService } = require('../services/watermarkService');
+const { PhotoRenditionService } = require('../services/renditionService');
+const { ImageValidationService, ImageValidationError } = require('../services/imageValidationService');
+const { IMAGE_CONFIG } = require('../config/images');
 
 const router = express.Router();
 
+const quotaService = new QuotaService();
+const watermarkService = new WatermarkService();
+const renditionService = new PhotoRenditionService();
+const imageValidator = new ImageValidationService();
+
+// Re-render a user's photos in the background after their watermark changed
+const rerenderUserPhotos = (user) => {
+  renditionService.applyAll({ uploadedBy: user._id }).catch(error => {
+    console.error('Watermark re-render error:', error);
+  });
+};
+
 // Register
 router.post('/register', [
   body('username').isLength({ min: 3 }).trim().withMessage('Username must be at least 3 characters'),
@@ -110,9 +130,136 @@ router.get('/me', auth, async (req, res) => {
     user: {
       id: req.user._id,
       username: req.user.username,
-      email: req.user.email
+      email: req.user.email,
+      role: req.user.role,
+      plan: req.user.plan
     }
   });
 });
 
+// Get current user's storage usage and quota
+router.get('/me/usage', auth, async (req, res) => {
+  try {
+    const user = await quotaService.ensureCounted(req.user._id) ? await User.findById(req.user._id) : req.user;
+
+    res.json({
+      plan: user.plan,
+      usage: quotaService.getUsage(user),
+      quota: quotaService.getQuota(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get privacy settings
+router.get('/me/privacy', auth, async (req, res) => {
+  res.json({ privacy: { exif: req.user.exifPrivacy } });
+});
+
+// Update privacy settings. `exif` controls how much EXIF other users see of
+// photos without their own setting.
+router.put('/me/privacy', auth, [
+  body('exif').isIn(IMAGE_CONFIG.exif.privacyModes)
+    .withMessage(`EXIF privacy must be one of: ${IMAGE_CONFIG.exif.privacyModes.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    req.user.exifPrivacy = req.body.exif;
+    await req.user.save();
+
+    res.json({
+      message: 'Privacy settings updated',
+      privacy: { exif: req.user.exifPrivacy }
+    });
+  } catch (error) {
+    console.error('Privacy settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get watermark settings
+router.get('/me/watermark', auth, async (req, res) => {
+  try {
+    res.json({ watermark: await watermarkService.serialize(req.user.watermark) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update watermark settings; the user's photos are re-rendered in the background
+router.put('/me/watermark', auth, watermarkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    watermarkService.updateSettings(req.user.watermark, req.body);
+
+    const missing = watermarkService.missingRequirement(req.user.watermark);
+    if (missing) {
+      return res.status(400).json({ message: missing });
+    }
+
+    await req.user.save();
+    rerenderUserPhotos(req.user);
+
+    res.json({
+      message: 'Watermark settings updated',
+      watermark: await watermarkService.serialize(req.user.watermark)
+    });
+  } catch (error) {
+    console.error('Watermark settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a logo and switch the watermark to it
+router.post('/me/watermark/logo', auth, logoUpload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    try {
+      await imageValidator.validateStoredObject(req.file.key);
+    } catch (validationError) {
+      await storage.delete(req.file.key).catch(() => {});
+      if (validationError instanceof ImageValidationError) {
+        return res.status(422).json({ message: validationError.message, error: validationError.toJSON() });
+      }
+      throw validationError;
+    }
+
+    const previousKey = req.user.watermark.imageKey;
+    req.user.watermark.imageKey = req.file.key;
+    req.user.watermark.type = 'image';
+    await req.user.save();
+
+    // Album overrides may still use the previous logo
+    if (previousKey && !(await Album.exists({ 'watermark.imageKey': previousKey }))) {
+      await storage.delete(previousKey).catch(() => {});
+    }
+
+    if (req.user.watermark.enabled) {
+      rerenderUserPhotos(req.user);
+    }
+
+    res.status(201).json({
+      message: 'Watermark logo uploaded',
+      watermark: await watermarkService.serialize(req.user.watermark)
+    });
+  } catch (error) {
+    console.error('Watermark logo upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
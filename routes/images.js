@@ -0,0 +1,61 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const { storage } = require('../services/storage');
+const { ImageTransformService, TransformParamsError } = require('../services/transformService');
+
+const router = express.Router();
+
+const transformService = new ImageTransformService();
+
+// Photo rendered on the fly: GET /img/:photoId?w=&h=&fit=&fmt=&q=
+// Visible to the same people as GET /api/photos/:id. Results are cached in
+// storage. The URL stays the same when a photo is edited or trashed, so
+// responses carry a strong ETag and a short max-age: caches revalidate
+// cheaply with a 304 and pick up changes within a minute.
+router.get('/:photoId', async (req, res) => {
+  try {
+    let params;
+    try {
+      params = transformService.parseParams(req.query);
+    } catch (error) {
+      if (error instanceof TransformParamsError) {
+        return res.status(400).json({ message: error.message, error: error.toJSON() });
+      }
+      throw error;
+    }
+
+    const photo = mongoose.isValidObjectId(req.params.photoId) && await Photo.findById(req.params.photoId);
+
+    if (!photo || photo.uploadStatus === 'pending' || photo.deletedAt) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    // Only successful responses are cacheable
+    const etag = transformService.etag(transformService.cacheKey(photo, params));
+    const cacheHeaders = {
+      'ETag': etag,
+      'Cache-Control': `public, max-age=${transformService.config.cacheMaxAge}, must-revalidate`
+    };
+
+    const ifNoneMatch = (req.get('If-None-Match') || '').split(',').map(tag => tag.trim());
+    if (ifNoneMatch.includes(etag) || ifNoneMatch.includes('*')) {
+      return res.set(cacheHeaders).status(304).end();
+    }
+
+    const key = await transformService.render(photo, params);
+    const stream = await storage.getStream(key);
+
+    res.set(cacheHeaders).type(transformService.contentType(params));
+    stream.on('error', (error) => {
+      console.error('Image stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
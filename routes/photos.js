@@ -1,20 +1,191 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Photo = require('../models/Photo');
+const Album = require('../models/Album');
 const auth = require('../middleware/auth');
-const { upload } = require('../services/s3Service');
-const { LambdaImageProcessingService } = require('../services/lambdaService');
+const editValidation = require('../middleware/editValidation');
+const fieldsets = require('../middleware/fieldsets');
+const { upload, batchUpload, storage, deleteFromS3 } = require('../services/s3Service');
+const { STORAGE_CONFIG } = require('../config/storage');
+const { IMAGE_CONFIG } = require('../config/images');
 const { DynamoUserActivityService } = require('../services/dynamoService');
+const { ContentDedupService } = require('../services/dedupService');
+const { ImageValidationService, ImageValidationError } = require('../services/imageValidationService');
+const { QuotaService, QuotaExceededError } = require('../services/quotaService');
+const { TrashService } = require('../services/trashService');
+const { PhotoRenditionService } = require('../services/renditionService');
+const { PhotoEditService } = require('../services/editService');
+const { PhotoProcessingService } = require('../services/processingService');
+const { ExifPrivacyService } = require('../services/privacyService');
+const { PhotoSimilarityService } = require('../services/similarityService');
+const { ResponseSerializer, parseFieldsets, PHOTO_INCLUDES } = require('../services/serializerService');
 const { v4: uuidv4 } = require('uuid');
+const path = require('path');
 
 const router = express.Router();
 
 // Initialize services
-const imageProcessor = new LambdaImageProcessingService();
 const activityService = new DynamoUserActivityService();
+const dedupService = new ContentDedupService();
+const imageValidator = new ImageValidationService();
+const quotaService = new QuotaService();
+const trashService = new TrashService();
+const renditionService = new PhotoRenditionService();
+const editService = new PhotoEditService();
+const privacyService = new ExifPrivacyService();
+const processingService = new PhotoProcessingService();
+const similarityService = new PhotoSimilarityService();
+const serializer = new ResponseSerializer();
+
+// Photos returned after a change carry everything about them
+const FULL_PHOTO = parseFieldsets({ include: PHOTO_INCLUDES.join(',') }, 'photos');
+
+// Validate the stored bytes of an upload, deleting the object if rejected
+const validateUpload = async (key) => {
+  try {
+    return await imageValidator.validateStoredObject(key);
+  } catch (error) {
+    await deleteFromS3(key).catch(() => {});
+    throw error;
+  }
+};
+
+// Respond to an upload rejected for its content or the user's quota,
+// returning false for any other error
+const sendRejection = (res, error) => {
+  if (error instanceof ImageValidationError) {
+    res.status(422).json({ message: error.message, error: error.toJSON() });
+    return true;
+  }
+  if (error instanceof QuotaExceededError) {
+    res.status(413).json({ message: error.message, error: error.toJSON() });
+    return true;
+  }
+  return false;
+};
+
+// Reject uploads up front when the user has no quota left
+const checkQuota = (req, res, next) => {
+  try {
+    quotaService.assertAvailable(req.user);
+    next();
+  } catch (error) {
+    if (!sendRejection(res, error)) next(error);
+  }
+};
+
+// Point a photo at the shared stored object for its content, reusing its
+// derivatives when the content has been processed before
+const attachStoredObject = async (photo, { hash, key, size, mimetype }) => {
+  const storedObject = await dedupService.acquire({ hash, key, size, mimetype });
+
+  photo.contentHash = hash;
+  photo.s3Key = storedObject.key;
+  photo.filename = storedObject.key;
+  photo.s3Location = storage.getPublicUrl(storedObject.key);
+
+  if (storedObject.thumbnailKey) {
+    photo.thumbnailS3Key = storedObject.thumbnailKey;
+    photo.displayS3Key = storedObject.displayKey;
+    photo.animatedThumbnailS3Key = storedObject.animatedThumbnailKey;
+    photo.animatedDisplayS3Key = storedObject.animatedDisplayKey;
+    photo.derivatives = storedObject.derivatives;
+    photo.placeholder = storedObject.placeholder;
+  }
+  photo.perceptualHash = storedObject.perceptualHash;
+};
+
+// Save a photo that holds a stored object reference, releasing it on failure
+const savePhotoWithReference = async (photo) => {
+  try {
+    await photo.save();
+  } catch (error) {
+    await dedupService.release(photo).catch(() => {});
+    throw error;
+  }
+};
+
+// Create a photo record for a file stored by multer and queue its processing.
+// Returns the user's existing photo instead when they already uploaded these bytes.
+const createPhotoFromFile = async (file, { title, description, albums = [] }, user) => {
+  const image = await validateUpload(file.key);
+
+  const duplicate = await dedupService.findDuplicate(user._id, file.contentHash);
+  if (duplicate) {
+    await deleteFromS3(file.key).catch(() => {});
+    return { photo: duplicate, duplicate: true };
+  }
+
+  const photo = new Photo({
+    title,
+    description: description || '',
+    originalName: file.originalname,
+    mimetype: image.mimetype,
+    size: file.size,
+    metadata: {
+      width: image.width,
+      height: image.height,
+      format: image.format,
+      exif: image.exif,
+      animation: image.animation
+    },
+    uploadedBy: user._id,
+    albums
+  });
+
+  try {
+    await quotaService.reserve(user, file.size);
+  } catch (error) {
+    await deleteFromS3(file.key).catch(() => {});
+    throw error;
+  }
+
+  try {
+    await attachStoredObject(photo, {
+      hash: file.contentHash,
+      key: file.key,
+      size: file.size,
+      mimetype: image.mimetype
+    });
+    await savePhotoWithReference(photo);
+  } catch (error) {
+    await quotaService.release(user._id, file.size);
+    throw error;
+  }
+
+  await processingService.enqueue(photo);
+
+  // Log user activity
+  await activityService.logActivity(user._id, 'photo_upload', {
+    photoId: photo._id,
+    title: photo.title,
+    fileSize: photo.size
+  });
+
+  return { photo, duplicate: false };
+};
+
+// Respond to a re-upload of identical bytes according to config
+const sendDuplicate = async (res, photo, user) => {
+  if (STORAGE_CONFIG.onDuplicate === 'reject') {
+    return res.status(409).json({
+      message: 'Photo already uploaded',
+      photoId: photo._id
+    });
+  }
+
+  res.json({
+    message: 'Photo already uploaded',
+    duplicate: true,
+    photo: await uploadedPhotoResponse(photo, user)
+  });
+};
+
+// A photo as returned to its owner after a change
+const uploadedPhotoResponse = (photo, user) => serializer.photo(photo, { viewer: user, fieldsets: FULL_PHOTO });
 
 // Upload photo
-router.post('/upload', auth, upload.single('photo'), [
+router.post('/upload', auth, checkQuota, upload.single('photo'), [
   body('title').isLength({ min: 1 }).trim().withMessage('Title is required'),
   body('description').optional().trim()
 ], async (req, res) => {
@@ -29,41 +200,276 @@ router.post('/upload', auth, upload.single('photo'), [
     }
 
     const { title, description } = req.body;
-    
-    // File is already uploaded to S3 via multer-s3
-    const s3Key = req.file.key;
-    const s3Location = req.file.location;
-    
-    // Process image with Lambda (generate thumbnail)
-    let thumbnailKey = null;
-    try {
-      const processingResult = await imageProcessor.processImage(s3Key, {
-        generateThumbnail: true,
-        thumbnailSize: { width: 300, height: 300 },
-        quality: 80
-      });
-      thumbnailKey = processingResult.thumbnailKey;
-    } catch (lambdaError) {
-      console.error('Lambda processing error:', lambdaError);
-      // Continue without thumbnail - we can process it later
+    const { photo, duplicate } = await createPhotoFromFile(req.file, { title, description }, req.user);
+
+    if (duplicate) {
+      return await sendDuplicate(res, photo, req.user);
+    }
+
+    res.status(201).json({
+      message: 'Photo uploaded successfully',
+      photo: await uploadedPhotoResponse(photo, req.user)
+    });
+  } catch (error) {
+    if (sendRejection(res, error)) return;
+    console.error('Photo upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Parse a multipart list field sent as repeated fields or a JSON array
+const parseListField = (value) => {
+  if (value === undefined) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch (error) {
+    return [value];
+  }
+};
+
+// Upload many photos at once, reporting success or failure per file
+router.post('/upload-batch', auth, checkQuota, batchUpload.array('photos'), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0 && !req.rejectedFiles) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    // Optional target album must belong to the user
+    let album = null;
+    if (req.body.albumId) {
+      album = await Album.findOne({ _id: req.body.albumId, createdBy: req.user._id, deletedAt: null }).catch(() => null);
+      if (!album) {
+        await Promise.all(files.map(file => deleteFromS3(file.key).catch(() => {})));
+        return res.status(404).json({ message: 'Album not found' });
+      }
+    }
+
+    const titles = parseListField(req.body.titles);
+    const descriptions = parseListField(req.body.descriptions);
+
+    const results = (req.rejectedFiles || []).map(({ file, error }) => ({
+      index: file.batchIndex,
+      filename: file.originalname,
+      success: false,
+      error
+    }));
+
+    for (const file of files) {
+      const title = (titles[file.batchIndex] || '').trim() || file.originalname;
+      const description = (descriptions[file.batchIndex] || '').trim();
+
+      try {
+        const { photo, duplicate } = await createPhotoFromFile(file, {
+          title: title.slice(0, 100),
+          description,
+          albums: album ? [album._id] : []
+        }, req.user);
+
+        if (duplicate && STORAGE_CONFIG.onDuplicate === 'reject') {
+          results.push({
+            index: file.batchIndex,
+            filename: file.originalname,
+            success: false,
+            error: 'Photo already uploaded',
+            photoId: photo._id
+          });
+          continue;
+        }
+
+        results.push({
+          index: file.batchIndex,
+          filename: file.originalname,
+          success: true,
+          duplicate,
+          photo: await uploadedPhotoResponse(photo, req.user)
+        });
+      } catch (fileError) {
+        const rejected = fileError instanceof ImageValidationError || fileError instanceof QuotaExceededError;
+        if (!rejected) {
+          console.error('Batch upload file error:', fileError);
+          await deleteFromS3(file.key).catch(() => {});
+        }
+        results.push({
+          index: file.batchIndex,
+          filename: file.originalname,
+          success: false,
+          error: fileError.message,
+          ...(rejected && { code: fileError.code })
+        });
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const uploaded = results.filter(result => result.success);
+
+    // Add the uploaded photos to the target album
+    if (album && uploaded.length > 0) {
+      const newPhotoIds = uploaded
+        .map(result => result.photo.id)
+        .filter(id => !album.photos.some(existing => existing.equals(id)));
+      album.photos.push(...newPhotoIds);
+      await Photo.updateMany(
+        { _id: { $in: newPhotoIds }, albums: { $ne: album._id } },
+        { $push: { albums: album._id } }
+      );
+      if (!album.coverPhoto) {
+        album.coverPhoto = uploaded[0].photo.id;
+      }
+      await album.save();
+    }
+
+    res.status(uploaded.length === results.length ? 201 : 207).json({
+      message: `Uploaded ${uploaded.length} of ${results.length} photos`,
+      uploaded: uploaded.length,
+      failed: results.length - uploaded.length,
+      results
+    });
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an upload intent: a pending photo plus a presigned POST the browser
+// uses to upload straight to storage
+router.post('/upload-intent', auth, [
+  body('title').isLength({ min: 1 }).trim().withMessage('Title is required'),
+  body('description').optional().trim(),
+  body('filename').isLength({ min: 1 }).withMessage('Filename is required'),
+  body('contentType').matches(/^(image\/|application\/octet-stream$)/).withMessage('Only image files are allowed!'),
+  body('size').isInt({ min: 1, max: STORAGE_CONFIG.maxFileSize }).withMessage('File size is invalid or exceeds the upload limit').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Create photo record
+    const { title, description, filename, contentType, size } = req.body;
+    quotaService.assertAvailable(req.user, size);
+
+    const keyPrefix = `photos/${req.user._id}/`;
+    const s3Key = `${keyPrefix}${Date.now()}-${uuidv4()}${path.extname(filename)}`;
+
+    const presignedPost = await storage.createPresignedPost(s3Key, {
+      contentType,
+      keyPrefix,
+      maxSize: STORAGE_CONFIG.maxFileSize
+    });
+
     const photo = new Photo({
       title,
       description: description || '',
-      filename: req.file.key, // S3 key
-      originalName: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      s3Key: s3Key,
-      s3Location: s3Location,
-      thumbnailS3Key: thumbnailKey,
+      filename: s3Key,
+      originalName: filename,
+      mimetype: contentType,
+      size,
+      s3Key,
+      s3Location: storage.getPublicUrl(s3Key),
+      uploadStatus: 'pending',
       uploadedBy: req.user._id
     });
 
     await photo.save();
 
+    res.status(201).json({
+      message: 'Upload intent created',
+      photo: {
+        id: photo._id,
+        title: photo.title,
+        uploadStatus: photo.uploadStatus
+      },
+      upload: presignedPost
+    });
+  } catch (error) {
+    if (sendRejection(res, error)) return;
+    console.error('Upload intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finalize a direct upload once the browser has posted the file to storage
+router.post('/:id/finalize', auth, async (req, res) => {
+  try {
+    const photo = await Photo.findById(req.params.id);
+
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    // Check if user owns the photo
+    if (photo.uploadedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to finalize this photo' });
+    }
+
+    if (photo.uploadStatus !== 'pending') {
+      return res.status(409).json({ message: 'Photo upload already finalized' });
+    }
+
+    // Verify the object actually landed in storage
+    const object = await storage.head(photo.s3Key);
+    if (!object) {
+      return res.status(400).json({ message: 'Uploaded file not found in storage' });
+    }
+
+    // Reject anything that is not a real, safely decodable image
+    let image;
+    try {
+      image = await validateUpload(photo.s3Key);
+    } catch (validationError) {
+      if (validationError instanceof ImageValidationError) {
+        await Photo.deleteOne({ _id: photo._id });
+      }
+      throw validationError;
+    }
+
+    // Discard the upload if the user already has these bytes
+    const contentHash = await dedupService.hashObject(photo.s3Key);
+    const duplicate = await dedupService.findDuplicate(req.user._id, contentHash, photo._id);
+    if (duplicate) {
+      await deleteFromS3(photo.s3Key).catch(() => {});
+      await Photo.deleteOne({ _id: photo._id });
+      return await sendDuplicate(res, duplicate, req.user);
+    }
+
+    // Count the upload against the user's quota
+    try {
+      await quotaService.reserve(req.user, object.size);
+    } catch (quotaError) {
+      await deleteFromS3(photo.s3Key).catch(() => {});
+      await Photo.deleteOne({ _id: photo._id });
+      throw quotaError;
+    }
+
+    photo.size = object.size;
+    photo.mimetype = image.mimetype;
+    photo.metadata = {
+      width: image.width,
+      height: image.height,
+      format: image.format,
+      exif: image.exif,
+      animation: image.animation
+    };
+    photo.uploadStatus = 'uploaded';
+    try {
+      await attachStoredObject(photo, {
+        hash: contentHash,
+        key: photo.s3Key,
+        size: object.size,
+        mimetype: image.mimetype
+      });
+      await savePhotoWithReference(photo);
+    } catch (error) {
+      await quotaService.release(req.user._id, object.size);
+      throw error;
+    }
+
+    await processingService.enqueue(photo);
+
     // Log user activity
     await activityService.logActivity(req.user._id, 'photo_upload', {
       photoId: photo._id,
@@ -71,41 +477,25 @@ router.post('/upload', auth, upload.single('photo'), [
       fileSize: photo.size
     });
 
-    res.status(201).json({
+    res.json({
       message: 'Photo uploaded successfully',
-      photo: {
-        id: photo._id,
-        title: photo.title,
-        description: photo.description,
-        s3Location: photo.s3Location,
-        thumbnailS3Key: photo.thumbnailS3Key,
-        createdAt: photo.createdAt
-      }
+      photo: await uploadedPhotoResponse(photo, req.user)
     });
   } catch (error) {
-    console.error('Photo upload error:', error);
+    if (sendRejection(res, error)) return;
+    console.error('Photo finalize error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Get all photos for current user
-router.get('/my-photos', auth, async (req, res) => {
+router.get('/my-photos', auth, fieldsets('photos'), async (req, res) => {
   try {
-    const photos = await Photo.find({ uploadedBy: req.user._id })
+    const photos = await Photo.find({ uploadedBy: req.user._id, uploadStatus: { $ne: 'pending' }, deletedAt: null })
       .sort({ createdAt: -1 })
       .populate('uploadedBy', 'username');
 
-    const photosWithPaths = photos.map(photo => ({
-      id: photo._id,
-      title: photo.title,
-      description: photo.description,
-      s3Location: photo.s3Location,
-      thumbnailS3Key: photo.thumbnailS3Key,
-      uploadedBy: photo.uploadedBy.username,
-      createdAt: photo.createdAt
-    }));
-
-    res.json({ photos: photosWithPaths });
+    res.json({ photos: await serializer.photos(photos, { viewer: req.user, fieldsets: req.fieldsets }) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -113,32 +503,22 @@ router.get('/my-photos', auth, async (req, res) => {
 });
 
 // Get all photos (public feed)
-router.get('/all', async (req, res) => {
+router.get('/all', fieldsets('photos'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const photos = await Photo.find()
+    const photos = await Photo.find({ uploadStatus: { $ne: 'pending' }, deletedAt: null })
       .sort({ createdAt: -1 })
-      .populate('uploadedBy', 'username')
+      .populate('uploadedBy', 'username exifPrivacy')
       .skip(skip)
       .limit(limit);
 
-    const total = await Photo.countDocuments();
-
-    const photosWithPaths = photos.map(photo => ({
-      id: photo._id,
-      title: photo.title,
-      description: photo.description,
-      s3Location: photo.s3Location,
-      thumbnailS3Key: photo.thumbnailS3Key,
-      uploadedBy: photo.uploadedBy.username,
-      createdAt: photo.createdAt
-    }));
+    const total = await Photo.countDocuments({ uploadStatus: { $ne: 'pending' }, deletedAt: null });
 
     res.json({ 
-      photos: photosWithPaths,
+      photos: await serializer.photos(photos, { fieldsets: req.fieldsets }),
       pagination: {
         page,
         limit,
@@ -152,26 +532,67 @@ router.get('/all', async (req, res) => {
   }
 });
 
+// Hamming distance threshold from the query string, up to maxThreshold bits
+const parseThreshold = (value, fallback) => {
+  const threshold = parseInt(value);
+  return Number.isNaN(threshold) ? fallback : Math.min(Math.max(threshold, 0), IMAGE_CONFIG.similarity.maxThreshold);
+};
+
+// Groups of the current user's photos that look like the same shot
+router.get('/duplicates', auth, fieldsets('photos'), async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.query.threshold, IMAGE_CONFIG.similarity.duplicateThreshold);
+    const groups = await similarityService.findDuplicateGroups(req.user._id, { threshold });
+    const photos = await serializer.photos(groups.flatMap(group => group.photos), { viewer: req.user, fieldsets: req.fieldsets });
+
+    let offset = 0;
+    res.json({
+      threshold,
+      groups: groups.map(group => ({
+        maxDistance: group.maxDistance,
+        photos: photos.slice(offset, offset += group.photos.length)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single photo
-router.get('/:id', async (req, res) => {
+router.get('/:id', fieldsets('photos'), async (req, res) => {
   try {
     const photo = await Photo.findById(req.params.id)
-      .populate('uploadedBy', 'username');
+      .populate('uploadedBy', 'username exifPrivacy');
 
-    if (!photo) {
+    if (!photo || photo.uploadStatus === 'pending' || photo.deletedAt) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.json({ photo: await serializer.photo(photo, { fieldsets: req.fieldsets }) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Photos that look like this one, closest first
+router.get('/:id/similar', fieldsets('photos'), async (req, res) => {
+  try {
+    const photo = await Photo.findById(req.params.id);
+
+    if (!photo || photo.uploadStatus === 'pending' || photo.deletedAt) {
       return res.status(404).json({ message: 'Photo not found' });
     }
 
+    const threshold = parseThreshold(req.query.threshold, IMAGE_CONFIG.similarity.similarThreshold);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const matches = await similarityService.findSimilar(photo, { threshold, limit });
+    const photos = await serializer.photos(matches.map(match => match.photo), { fieldsets: req.fieldsets });
+
     res.json({
-      photo: {
-        id: photo._id,
-        title: photo.title,
-        description: photo.description,
-        s3Location: photo.s3Location,
-        thumbnailS3Key: photo.thumbnailS3Key,
-        uploadedBy: photo.uploadedBy.username,
-        createdAt: photo.createdAt
-      }
+      threshold,
+      photos: photos.map((serialized, index) => ({ ...serialized, distance: matches[index].distance }))
     });
   } catch (error) {
     console.error(error);
@@ -179,12 +600,13 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Delete photo
+// Move photo to the trash. Pending uploads have nothing to restore and are
+// deleted immediately.
 router.delete('/:id', auth, async (req, res) => {
   try {
     const photo = await Photo.findById(req.params.id);
 
-    if (!photo) {
+    if (!photo || photo.deletedAt) {
       return res.status(404).json({ message: 'Photo not found' });
     }
 
@@ -193,25 +615,12 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this photo' });
     }
 
-    // Delete files from S3
-    const { deleteFromS3 } = require('../services/s3Service');
-    
-    try {
-      // Delete original image
-      if (photo.s3Key) {
-        await deleteFromS3(photo.s3Key);
-      }
-      
-      // Delete thumbnail
-      if (photo.thumbnailS3Key) {
-        await deleteFromS3(photo.thumbnailS3Key);
-      }
-    } catch (s3Error) {
-      console.error('S3 deletion error:', s3Error);
-      // Continue with database deletion even if S3 deletion fails
+    if (photo.uploadStatus === 'pending') {
+      await trashService.purgePhoto(photo);
+      return res.json({ message: 'Photo deleted successfully' });
     }
 
-    await Photo.findByIdAndDelete(req.params.id);
+    await trashService.trash(photo);
 
     // Log user activity
     await activityService.logActivity(req.user._id, 'photo_delete', {
@@ -219,19 +628,22 @@ router.delete('/:id', auth, async (req, res) => {
       title: photo.title
     });
 
-    res.json({ message: 'Photo deleted successfully' });
+    res.json({
+      message: 'Photo moved to trash',
+      purgeAt: trashService.purgeDate(photo.deletedAt)
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Reprocess photo (regenerate thumbnail)
+// Queue a photo for reprocessing (regenerates its thumbnail and renditions)
 router.post('/:id/reprocess', auth, async (req, res) => {
   try {
     const photo = await Photo.findById(req.params.id);
 
-    if (!photo) {
+    if (!photo || photo.deletedAt) {
       return res.status(404).json({ message: 'Photo not found' });
     }
 
@@ -240,24 +652,232 @@ router.post('/:id/reprocess', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to reprocess this photo' });
     }
 
-    // Reprocess with Lambda
-    const processingResult = await imageProcessor.processImage(photo.s3Key, {
-      generateThumbnail: true,
-      thumbnailSize: { width: 300, height: 300 },
-      quality: 80
+    const job = await processingService.enqueue(photo, 'reprocess');
+
+    res.status(202).json({
+      message: 'Photo queued for reprocessing',
+      jobId: job._id,
+      processing: await processingService.getStatus(photo)
     });
+  } catch (error) {
+    console.error('Photo reprocessing error:', error);
+    res.status(500).json({ message: 'Failed to reprocess photo' });
+  }
+});
+
+// Load a photo the current user owns, responding with 404/403 otherwise
+const findOwnedPhoto = async (req, res, action) => {
+  const photo = await Photo.findById(req.params.id);
+
+  if (!photo || photo.deletedAt || photo.uploadStatus === 'pending') {
+    res.status(404).json({ message: 'Photo not found' });
+    return null;
+  }
+
+  if (photo.uploadedBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: `Not authorized to ${action} this photo` });
+    return null;
+  }
+
+  return photo;
+};
+
+// Get processing status, for showing "processing" tiles until the thumbnail is ready
+router.get('/:id/status', auth, async (req, res) => {
+  try {
+    const photo = await findOwnedPhoto(req, res, 'view the status of');
+    if (!photo) return;
+
+    res.json({
+      ...await processingService.getStatus(photo),
+      photo: await uploadedPhotoResponse(photo, req.user)
+    });
+  } catch (error) {
+    console.error('Photo status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Update photo record with new thumbnail
-    photo.thumbnailS3Key = processingResult.thumbnailKey;
+// Set the photo's EXIF privacy (`keep`, `strip-gps`, `strip-all`, or null to
+// use the owner's setting)
+router.put('/:id/privacy', auth, [
+  body('exif').custom(value => value === null || IMAGE_CONFIG.exif.privacyModes.includes(value))
+    .withMessage(`EXIF privacy must be null or one of: ${IMAGE_CONFIG.exif.privacyModes.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const photo = await findOwnedPhoto(req, res, 'change the privacy of');
+    if (!photo) return;
+
+    photo.exifPrivacy = req.body.exif;
     await photo.save();
 
     res.json({
-      message: 'Photo reprocessed successfully',
-      thumbnailS3Key: photo.thumbnailS3Key
+      message: 'Photo privacy updated',
+      exifPrivacy: photo.exifPrivacy,
+      effectiveExifPrivacy: privacyService.resolve(photo, req.user)
     });
   } catch (error) {
-    console.error('Photo reprocessing error:', error);
-    res.status(500).json({ message: 'Failed to reprocess photo' });
+    console.error('Photo privacy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the point thumbnails and other cropped derivatives keep in view, as
+// fractions (0-1) of the displayed image. Cropping is recalculated at once.
+router.put('/:id/focal-point', auth, [
+  body('x').isFloat({ min: 0, max: 1 }).withMessage('x must be a number from 0 to 1').toFloat(),
+  body('y').isFloat({ min: 0, max: 1 }).withMessage('y must be a number from 0 to 1').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    photo.focalPoint = { x: req.body.x, y: req.body.y };
+    await renditionService.apply(photo, { owner: req.user });
+    await photo.save();
+
+    res.json({
+      message: 'Focal point updated',
+      photo: await uploadedPhotoResponse(photo, req.user)
+    });
+  } catch (error) {
+    console.error('Photo focal point error:', error);
+    res.status(500).json({ message: 'Failed to update focal point' });
+  }
+});
+
+// Clear the focal point so the crop strategy chooses again
+router.delete('/:id/focal-point', auth, async (req, res) => {
+  try {
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    photo.focalPoint = null;
+    await renditionService.apply(photo, { owner: req.user });
+    await photo.save();
+
+    res.json({
+      message: 'Focal point cleared',
+      photo: await uploadedPhotoResponse(photo, req.user)
+    });
+  } catch (error) {
+    console.error('Photo focal point error:', error);
+    res.status(500).json({ message: 'Failed to update focal point' });
+  }
+});
+
+// Make a recipe current and re-render the photo's derivatives with it. Nothing
+// is saved if rendering fails, so the stored recipe always matches the display.
+const saveEdits = async (res, photo, recipe, user) => {
+  editService.record(photo, recipe);
+  await renditionService.apply(photo, { owner: user });
+  await photo.save();
+
+  res.json({
+    message: recipe ? 'Photo edits applied' : 'Photo reverted to original',
+    ...editService.serialize(photo),
+    photo: await uploadedPhotoResponse(photo, user)
+  });
+};
+
+// Get the current edit recipe and history
+router.get('/:id/edits', auth, async (req, res) => {
+  try {
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    res.json(editService.serialize(photo));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the edit recipe. Operations are applied in a fixed order: rotate,
+// flip, crop (fractions of the rotated image), tone, then filters.
+router.put('/:id/edits', auth, editValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    await saveEdits(res, photo, editService.normalize(req.body), req.user);
+  } catch (error) {
+    console.error('Photo edit error:', error);
+    res.status(500).json({ message: 'Failed to apply edits' });
+  }
+});
+
+// Rotate the photo by quarter turns, recorded as an edit so it can be reverted
+router.post('/:id/rotate', auth, [
+  body('degrees').isIn([90, 180, 270, -90]).withMessage('Degrees must be 90, 180, 270 or -90').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    const recipe = editService.normalize(editService.rotate(photo.edits, req.body.degrees));
+    await saveEdits(res, photo, recipe, req.user);
+  } catch (error) {
+    console.error('Photo rotate error:', error);
+    res.status(500).json({ message: 'Failed to apply edits' });
+  }
+});
+
+// Restore an earlier recipe from the history (version 0 is the original)
+router.post('/:id/edits/revert', auth, [
+  body('version').isInt({ min: 0 }).withMessage('Version must be a non-negative integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    const entry = editService.findVersion(photo, req.body.version);
+    if (!entry) {
+      return res.status(404).json({ message: 'Edit version not found' });
+    }
+
+    await saveEdits(res, photo, entry.recipe, req.user);
+  } catch (error) {
+    console.error('Photo edit revert error:', error);
+    res.status(500).json({ message: 'Failed to apply edits' });
+  }
+});
+
+// Discard all edits and show the original as uploaded
+router.delete('/:id/edits', auth, async (req, res) => {
+  try {
+    const photo = await findOwnedPhoto(req, res, 'edit');
+    if (!photo) return;
+
+    await saveEdits(res, photo, null, req.user);
+  } catch (error) {
+    console.error('Photo edit revert error:', error);
+    res.status(500).json({ message: 'Failed to apply edits' });
   }
 });
 
@@ -0,0 +1,58 @@
+const express = require('express');
+const multer = require('multer');
+const { STORAGE_CONFIG } = require('../config/storage');
+const { storage, DriverStorageEngine } = require('../services/storage');
+
+const router = express.Router();
+
+// Browser upload target for the local storage driver. Accepts the same
+// multipart form as an S3 presigned POST (policy fields first, then `file`).
+const localUpload = multer({
+  storage: new DriverStorageEngine({
+    driver: storage,
+    key: function (req, file, cb) {
+      try {
+        const policy = storage.verifyPresignedPost(req.body);
+        // Like S3, check the form's Content-Type field rather than the file
+        // part's, which browsers send as application/octet-stream for types
+        // they do not know (HEIC). Finalizing checks the actual format.
+        if (req.body['Content-Type'] !== policy.contentType) {
+          return cb(new Error('Content type does not match upload policy'));
+        }
+        req.uploadPolicy = policy;
+        cb(null, policy.key);
+      } catch (error) {
+        cb(error);
+      }
+    }
+  }),
+  limits: {
+    fileSize: STORAGE_CONFIG.maxFileSize,
+  }
+});
+
+router.post('/upload', (req, res) => {
+  if (storage.name !== 'local') {
+    return res.status(404).json({ message: 'API endpoint not found' });
+  }
+
+  localUpload.single('file')(req, res, async (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 400 : 403;
+      return res.status(status).json({ message: error.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    if (req.file.size > req.uploadPolicy.maxSize) {
+      await storage.delete(req.file.key).catch(() => {});
+      return res.status(400).json({ message: 'File too large' });
+    }
+
+    res.status(204).end();
+  });
+});
+
+module.exports = router;
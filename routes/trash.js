@@ -0,0 +1,151 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const Album = require('../models/Album');
+const auth = require('../middleware/auth');
+const { TrashService } = require('../services/trashService');
+const { PhotoRenditionService } = require('../services/renditionService');
+const { DynamoUserActivityService } = require('../services/dynamoService');
+const { MediaUrlResolver } = require('../services/mediaUrlService');
+
+const router = express.Router();
+
+// Initialize services
+const trashService = new TrashService();
+const renditionService = new PhotoRenditionService();
+const activityService = new DynamoUserActivityService();
+const mediaUrls = new MediaUrlResolver();
+
+// Find a photo or album in the current user's trash
+const findTrashedItem = async (id, user) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  const photo = await Photo.findOne({ _id: id, uploadedBy: user._id, deletedAt: { $ne: null } });
+  if (photo) {
+    return { type: 'photo', doc: photo };
+  }
+
+  const album = await Album.findOne({ _id: id, createdBy: user._id, deletedAt: { $ne: null } });
+  if (album) {
+    return { type: 'album', doc: album };
+  }
+
+  return null;
+};
+
+// List the current user's trash
+router.get('/', auth, async (req, res) => {
+  try {
+    const photos = await Photo.find({ uploadedBy: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+    const albums = await Album.find({ createdBy: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+    const url = await mediaUrls.resolve(photos.map(photo => photo.thumbnailS3Key));
+
+    res.json({
+      photos: photos.map(photo => ({
+        id: photo._id,
+        title: photo.title,
+        thumbnailUrl: url(photo.thumbnailS3Key),
+        size: photo.size,
+        deletedAt: photo.deletedAt,
+        purgeAt: trashService.purgeDate(photo.deletedAt)
+      })),
+      albums: albums.map(album => ({
+        id: album._id,
+        title: album.title,
+        photoCount: album.photos.length,
+        deletedAt: album.deletedAt,
+        purgeAt: trashService.purgeDate(album.deletedAt)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a trashed photo or album
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const item = await findTrashedItem(req.params.id, req.user);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    await trashService.restore(item.doc);
+
+    // A restored album's watermark override applies to its photos again
+    if (item.type === 'album' && item.doc.watermark) {
+      renditionService.applyAll({ albums: item.doc._id }).catch(error => {
+        console.error('Watermark re-render error:', error);
+      });
+    }
+
+    // Log user activity
+    await activityService.logActivity(req.user._id, `${item.type}_restore`, {
+      [`${item.type}Id`]: item.doc._id,
+      title: item.doc.title
+    });
+
+    res.json({
+      message: `${item.type === 'photo' ? 'Photo' : 'Album'} restored successfully`,
+      type: item.type,
+      id: item.doc._id
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently delete a trashed photo or album
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const item = await findTrashedItem(req.params.id, req.user);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    if (item.type === 'photo') {
+      await trashService.purgePhoto(item.doc);
+    } else {
+      await trashService.purgeAlbum(item.doc);
+    }
+
+    res.json({ message: `${item.type === 'photo' ? 'Photo' : 'Album'} permanently deleted` });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Empty the current user's trash
+router.delete('/', auth, async (req, res) => {
+  try {
+    const photos = await Photo.find({ uploadedBy: req.user._id, deletedAt: { $ne: null } });
+    const albums = await Album.find({ createdBy: req.user._id, deletedAt: { $ne: null } });
+
+    for (const photo of photos) {
+      await trashService.purgePhoto(photo);
+    }
+    for (const album of albums) {
+      await trashService.purgeAlbum(album);
+    }
+
+    res.json({
+      message: 'Trash emptied',
+      photos: photos.length,
+      albums: albums.length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
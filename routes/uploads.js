@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Photo = require('../models/Photo');
+const UploadSession = require('../models/UploadSession');
+const auth = require('../middleware/auth');
+const { storage } = require('../services/storage');
+const { QuotaService, QuotaExceededError } = require('../services/quotaService');
+const { STORAGE_CONFIG } = require('../config/storage');
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+
+const router = express.Router();
+
+const { partSize, maxFileSize, sessionTtl } = STORAGE_CONFIG.multipart;
+
+const quotaService = new QuotaService();
+
+// Load an active session owned by the current user
+const loadSession = async (req, res) => {
+  const session = await UploadSession.findById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({ message: 'Upload session not found' });
+    return null;
+  }
+
+  if (session.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to access this upload session' });
+    return null;
+  }
+
+  if (session.status !== 'active' || session.expiresAt < new Date()) {
+    res.status(410).json({ message: 'Upload session is no longer active' });
+    return null;
+  }
+
+  return session;
+};
+
+const sessionResponse = (session) => ({
+  id: session._id,
+  photoId: session.photo,
+  filename: session.filename,
+  size: session.size,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
+// Create a resumable upload session and its pending photo
+router.post('/', auth, [
+  body('title').isLength({ min: 1 }).trim().withMessage('Title is required'),
+  body('description').optional().trim(),
+  body('filename').isLength({ min: 1 }).withMessage('Filename is required'),
+  body('contentType').matches(/^(image\/|application\/octet-stream$)/).withMessage('Only image files are allowed!'),
+  body('size').isInt({ min: 1, max: maxFileSize }).withMessage('File size is invalid or exceeds the upload limit').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, filename, contentType, size } = req.body;
+    quotaService.assertAvailable(req.user, size);
+
+    const key = `photos/${req.user._id}/${Date.now()}-${uuidv4()}${path.extname(filename)}`;
+
+    const uploadId = await storage.createMultipartUpload(key, {
+      contentType,
+      metadata: {
+        userId: req.user.id,
+        uploadTime: new Date().toISOString()
+      }
+    });
+
+    const photo = new Photo({
+      title,
+      description: description || '',
+      filename: key,
+      originalName: filename,
+      mimetype: contentType,
+      size,
+      s3Key: key,
+      s3Location: storage.getPublicUrl(key),
+      uploadStatus: 'pending',
+      uploadedBy: req.user._id
+    });
+
+    await photo.save();
+
+    const session = new UploadSession({
+      createdBy: req.user._id,
+      photo: photo._id,
+      key,
+      uploadId,
+      filename,
+      contentType,
+      size,
+      partSize,
+      partCount: Math.ceil(size / partSize),
+      expiresAt: new Date(Date.now() + sessionTtl)
+    });
+
+    await session.save();
+
+    res.status(201).json({
+      message: 'Upload session created',
+      session: sessionResponse(session)
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(413).json({ message: error.message, error: error.toJSON() });
+    }
+    console.error('Create upload session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List uploaded parts
+router.get('/:id/parts', auth, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const parts = await storage.listParts(session.key, session.uploadId);
+    res.json({ parts });
+  } catch (error) {
+    console.error('List upload parts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a numbered part (raw request body)
+router.put('/:id/parts/:partNumber', auth, express.raw({ type: () => true, limit: partSize }), async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const partNumber = parseInt(req.params.partNumber, 10);
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.partCount) {
+      return res.status(400).json({ message: `Part number must be between 1 and ${session.partCount}` });
+    }
+
+    // Every part except the last must be exactly partSize bytes
+    const expectedSize = partNumber === session.partCount
+      ? session.size - (session.partCount - 1) * session.partSize
+      : session.partSize;
+    const partBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (partBody.length !== expectedSize) {
+      return res.status(400).json({ message: `Part ${partNumber} must be ${expectedSize} bytes` });
+    }
+
+    const part = await storage.uploadPart(session.key, session.uploadId, partNumber, partBody);
+    res.json({ part });
+  } catch (error) {
+    console.error('Upload part error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Complete the upload once every part is present. The photo stays pending
+// until POST /api/photos/:id/finalize verifies and processes it.
+router.post('/:id/complete', auth, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const parts = await storage.listParts(session.key, session.uploadId);
+    const uploaded = new Set(parts.map(part => part.partNumber));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+      if (!uploaded.has(partNumber)) missing.push(partNumber);
+    }
+
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Upload is missing parts', missing });
+    }
+
+    await storage.completeMultipartUpload(
+      session.key,
+      session.uploadId,
+      parts.filter(part => part.partNumber <= session.partCount)
+    );
+
+    session.status = 'completed';
+    await session.save();
+
+    res.json({
+      message: 'Upload completed',
+      session: sessionResponse(session)
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Abort the upload and discard the pending photo
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    await storage.abortMultipartUpload(session.key, session.uploadId);
+    await Photo.deleteOne({ _id: session.photo, uploadStatus: 'pending' });
+
+    session.status = 'aborted';
+    await session.save();
+
+    res.json({ message: 'Upload aborted' });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Reconcile storage with the database.
+//
+// Usage: node scripts/reconcile-storage.js [--fix] [--min-age-hours=24]
+//          [--prefix=photos/,watermarks/] [--json]
+//
+// Dry-run by default: reports orphaned objects, photos whose original or
+// derivatives are missing, and photos without thumbnails. With --fix,
+// orphans are deleted, derivatives are regenerated and photos with a
+// missing original are marked with storageStatus 'missing'. Only keys under
+// the app's prefixes (or --prefix, or RECONCILE_PREFIXES) are listed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ReconciliationService } = require('../services/reconciliationService');
+
+const parseArgs = (argv) => {
+  const args = { fix: false, json: false, minAgeHours: 24 };
+  for (const arg of argv) {
+    if (arg === '--fix') {
+      args.fix = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--min-age-hours=')) {
+      args.minAgeHours = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--prefix=')) {
+      args.prefixes = arg.slice('--prefix='.length).split(',').map(prefix => prefix.trim()).filter(Boolean);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!Number.isFinite(args.minAgeHours) || args.minAgeHours < 0) {
+    throw new Error('--min-age-hours must be a non-negative number');
+  }
+  if (args.prefixes && args.prefixes.length === 0) {
+    throw new Error('--prefix must name at least one key prefix');
+  }
+  return args;
+};
+
+const printReport = (report) => {
+  console.log(`Storage reconciliation (${report.mode})`);
+  console.log(`Scanned ${report.scanned.objects} objects under ${report.prefixes.join(', ')} and ${report.scanned.photos} photos\n`);
+
+  console.log(`Orphaned objects: ${report.orphanedObjects.length}`);
+  report.orphanedObjects.forEach(object => console.log(`  ${object.key} (${object.size} bytes)`));
+
+  console.log(`Photos with missing originals: ${report.missingOriginals.length}`);
+  report.missingOriginals.forEach(photo => console.log(`  ${photo.photoId} ${photo.key}`));
+
+  console.log(`Photos with missing derivatives: ${report.missingDerivatives.length}`);
+  report.missingDerivatives.forEach(photo => console.log(`  ${photo.photoId} ${photo.key} [${photo.reasons.join(', ')}]`));
+
+  if (report.fixed) {
+    const { deletedObjects, markedBroken, reprocessed, failed } = report.fixed;
+    console.log(`\nDeleted ${deletedObjects} objects, marked ${markedBroken} photos broken, reprocessed ${reprocessed} photos, ${failed} failures`);
+  } else {
+    console.log('\nDry run: nothing was changed. Re-run with --fix to apply.');
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pixelboard', {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  try {
+    const reconciler = new ReconciliationService({
+      minAge: args.minAgeHours * 60 * 60 * 1000,
+      prefixes: args.prefixes
+    });
+    const report = await reconciler.run({ fix: args.fix });
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// Regenerate thumbnails and renditions across the photo library.
+//
+// Usage: node scripts/reprocess-library.js [--user=<username|id>]
+//          [--since=<date>] [--until=<date>] [--missing] [--concurrency=5]
+//          [--resume=<runId>] [--report=<file>] [--dry-run] [--json]
+//
+// Progress is checkpointed in the database after every batch; if the
+// command is interrupted, re-run it with --resume=<runId> to continue.
+// The summary report (including every failure) is written to --report,
+// or to reprocess-<runId>.json by default.
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const ReprocessRun = require('../models/ReprocessRun');
+const { LibraryReprocessService } = require('../services/reprocessService');
+const { PROCESSING_CONFIG } = require('../config/processing');
+
+const parseDate = (name, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date`);
+  }
+  return date;
+};
+
+const parseArgs = (argv) => {
+  const args = { missingOnly: false, dryRun: false, json: false, concurrency: PROCESSING_CONFIG.reprocessConcurrency };
+  for (const arg of argv) {
+    const [name, value] = arg.split(/=(.*)/s);
+    if (name === '--missing') {
+      args.missingOnly = true;
+    } else if (name === '--dry-run') {
+      args.dryRun = true;
+    } else if (name === '--json') {
+      args.json = true;
+    } else if (name === '--user' && value) {
+      args.user = value;
+    } else if (name === '--since' && value) {
+      args.since = parseDate('since', value);
+    } else if (name === '--until' && value) {
+      args.until = parseDate('until', value);
+    } else if (name === '--concurrency' && value) {
+      args.concurrency = Number(value);
+    } else if (name === '--resume' && value) {
+      args.resume = value;
+    } else if (name === '--report' && value) {
+      args.report = value;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!Number.isInteger(args.concurrency) || args.concurrency < 1 || args.concurrency > PROCESSING_CONFIG.maxReprocessConcurrency) {
+    throw new Error(`--concurrency must be an integer from 1 to ${PROCESSING_CONFIG.maxReprocessConcurrency}`);
+  }
+  return args;
+};
+
+// Find a user by id or username
+const findUser = async (value) => {
+  const user = mongoose.isValidObjectId(value)
+    ? await User.findById(value)
+    : await User.findOne({ username: value });
+  if (!user) {
+    throw new Error(`User not found: ${value}`);
+  }
+  return user;
+};
+
+const printReport = (report, file) => {
+  console.log(`\nReprocess run ${report.id} (${report.status})`);
+  console.log(`Processed ${report.processed} of ${report.total} photos: ${report.succeeded} succeeded, ${report.failed} failed`);
+  report.failures.forEach(failure => console.log(`  ${failure.photoId} ${failure.key}: ${failure.error}`));
+  if (report.failuresOmitted > 0) {
+    console.log(`  ...and ${report.failuresOmitted} more failures not recorded`);
+  }
+  if (report.error) {
+    console.log(`Stopped early: ${report.error}`);
+    console.log(`Resume with: npm run reprocess -- --resume=${report.id}`);
+  }
+  console.log(`Report written to ${file}`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pixelboard', {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  try {
+    const reprocessor = new LibraryReprocessService();
+    const filter = {
+      user: args.user ? (await findUser(args.user))._id : undefined,
+      since: args.since,
+      until: args.until,
+      missingOnly: args.missingOnly
+    };
+
+    if (args.dryRun) {
+      const total = await Photo.countDocuments(reprocessor.buildQuery(filter));
+      console.log(args.json ? JSON.stringify({ total }, null, 2) : `${total} photos would be reprocessed`);
+      return;
+    }
+
+    const log = args.json ? () => {} : console.log;
+
+    let run;
+    if (args.resume) {
+      run = await reprocessor.claim(args.resume);
+      if (!run) {
+        throw new Error(`Run ${args.resume} is finished, does not exist, or is still running elsewhere`);
+      }
+      log(`Resuming run ${run._id} at ${run.processed} of ${run.total} photos`);
+    } else {
+      run = await reprocessor.start(filter, { concurrency: args.concurrency });
+      log(`Started run ${run._id} for ${run.total} photos`);
+    }
+
+    // Leave the run resumable straight away when stopped with Ctrl+C
+    process.once('SIGINT', async () => {
+      await ReprocessRun.updateOne(
+        { _id: run._id, status: 'running' },
+        { status: 'interrupted', error: 'Stopped by user' }
+      ).catch(() => {});
+      console.error(`\nInterrupted. Resume with: npm run reprocess -- --resume=${run._id}`);
+      process.exit(130);
+    });
+
+    const onProgress = (progress) => {
+      log(`  ${progress.processed}/${progress.total} processed, ${progress.failed} failed`);
+    };
+    // An interrupted run records why it stopped, and is reported below
+    await reprocessor.execute(run, { onProgress }).catch(() => {});
+
+    const report = reprocessor.report(run);
+    const file = args.report || `reprocess-${run._id}.json`;
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report, file);
+    }
+    if (run.status !== 'completed') {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -8,10 +8,21 @@ require('dotenv').config();
 
 // Import AWS services
 const { DynamoSessionService } = require('./services/dynamoService');
+const { STORAGE_CONFIG } = require('./config/storage');
+const { UploadCleanupService } = require('./services/uploadCleanupService');
+const { TrashService } = require('./services/trashService');
+const { PhotoProcessingService } = require('./services/processingService');
+const { PhotoSimilarityService } = require('./services/similarityService');
 
 const authRoutes = require('./routes/auth');
 const photoRoutes = require('./routes/photos');
 const albumRoutes = require('./routes/albums');
+const storageRoutes = require('./routes/storage');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const trashRoutes = require('./routes/trash');
+const imageRoutes = require('./routes/images');
+const signedOriginals = require('./middleware/signedOriginals');
 
 const app = express();
 
@@ -81,14 +92,17 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       photos: '/api/photos',
-      albums: '/api/albums'
+      albums: '/api/albums',
+      uploads: '/api/uploads',
+      trash: '/api/trash',
+      images: '/img'
     }
   });
 });
 
-// Serve static files (legacy support for local uploads)
-if (process.env.NODE_ENV !== 'production') {
-  app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve files stored by the local storage driver; originals need a signed URL
+if (STORAGE_CONFIG.driver === 'local') {
+  app.use(STORAGE_CONFIG.local.publicPath, signedOriginals, express.static(STORAGE_CONFIG.local.root));
 }
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -96,6 +110,11 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/api/auth', authRoutes);
 app.use('/api/photos', photoRoutes);
 app.use('/api/albums', albumRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/img', imageRoutes);
 
 // Serve frontend
 app.get('*', (req, res) => {
@@ -109,6 +128,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pixelboar
 })
 .then(() => {
   console.log('Connected to MongoDB successfully');
+  // Periodically clean up abandoned uploads
+  new UploadCleanupService().start();
+  // Purge trash past its retention period
+  new TrashService().start();
+  // Generate thumbnails and renditions for queued photos
+  new PhotoProcessingService().start();
+  // Index the hashes of photos processed before similarity lookups used them
+  new PhotoSimilarityService().indexMissing().catch(error => {
+    console.error('Similarity index error:', error);
+  });
 })
 .catch(err => {
   console.error('MongoDB connection error:', err.message);
@@ -126,18 +155,10 @@ mongoose.connection.on('disconnected', () => {
   console.log('MongoDB disconnected');
 });
 
-// Create uploads directory if it doesn't exist (for development)
-if (process.env.NODE_ENV !== 'production') {
+// Create local storage directory if it doesn't exist
+if (STORAGE_CONFIG.driver === 'local') {
   const fs = require('fs');
-  const uploadsDir = path.join(__dirname, 'uploads');
-  const thumbnailsDir = path.join(__dirname, 'uploads', 'thumbnails');
-
-  if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir);
-  }
-  if (!fs.existsSync(thumbnailsDir)) {
-    fs.mkdirSync(thumbnailsDir);
-  }
+  fs.mkdirSync(path.join(STORAGE_CONFIG.local.root, 'photos', 'thumbnails'), { recursive: true });
 }
 
 // Error handling middleware
@@ -148,6 +169,10 @@ app.use((err, req, res, next) => {
     return res.status(400).json({ message: 'File too large' });
   }
   
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json({ message: 'Too many files' });
+  }
+  
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     return res.status(400).json({ message: 'Unexpected file field' });
   }
@@ -169,7 +194,7 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 PixelBoard server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🗄️  Database: ${process.env.MONGODB_URI ? 'MongoDB Atlas' : 'Local MongoDB'}`);
-  console.log(`☁️  Storage: ${process.env.S3_BUCKET_NAME ? 'AWS S3' : 'Local filesystem'}`);
+  console.log(`☁️  Storage: ${STORAGE_CONFIG.driver === 's3' ? 'AWS S3' : 'Local filesystem'}`);
   console.log(`🔧 Session Store: ${process.env.DYNAMODB_SESSION_TABLE ? 'DynamoDB' : 'Memory'}`);
 });
 
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const Photo = require('../models/Photo');
+const StoredObject = require('../models/StoredObject');
+const { storage } = require('./storage');
+
+// Storage keys of every rendition in a derivatives map (Mongoose Map or plain object)
+const renditionKeys = (derivatives) => {
+  if (!derivatives) return [];
+  const sets = derivatives instanceof Map ? [...derivatives.values()] : Object.values(derivatives);
+  return sets.flat().map(rendition => rendition.key);
+};
+
+// Attempts at taking a reference while another upload or a deletion holds
+// the same content
+const ACQUIRE_RETRIES = 5;
+
+// Content-hash deduplication of uploaded originals. Photos with identical
+// bytes share one stored object, which is deleted with its last reference.
+class ContentDedupService {
+  // Compute the SHA-256 of an object already in storage
+  async hashObject(key) {
+    try {
+      const stream = await storage.getStream(key);
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of stream) {
+        hash.update(chunk);
+      }
+      return hash.digest('hex');
+    } catch (error) {
+      console.error('Content hash error:', error);
+      throw new Error(`Failed to hash stored file: ${error.message}`);
+    }
+  }
+
+  // Find a photo the user already uploaded with the same content, ignoring
+  // pending uploads and photos in the trash
+  async findDuplicate(userId, contentHash, excludePhotoId = null) {
+    const query = {
+      uploadedBy: userId,
+      contentHash,
+      uploadStatus: { $ne: 'pending' },
+      deletedAt: null
+    };
+    if (excludePhotoId) {
+      query._id = { $ne: excludePhotoId };
+    }
+    return Photo.findOne(query);
+  }
+
+  // Take a reference to the stored object for this content. When the bytes
+  // are already stored under another key, the freshly uploaded copy is
+  // deleted and the existing object is returned instead. An object whose
+  // last reference was just released is being deleted, so it is never
+  // reused: the upload waits for it to go and becomes the new object.
+  async acquire({ hash, key, size, mimetype }, attempt = 0) {
+    try {
+      const storedObject = await StoredObject.findOneAndUpdate(
+        { hash, refCount: { $gt: 0 } },
+        {
+          $inc: { refCount: 1 },
+          $setOnInsert: { key, size, mimetype }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (storedObject.key !== key) {
+        await storage.delete(key).catch(error => {
+          console.error('Failed to delete duplicate upload:', error);
+        });
+      }
+
+      return storedObject;
+    } catch (error) {
+      // Another upsert for the same hash won, or the object is being
+      // deleted: retry once it has settled
+      if (error.code === 11000 && attempt < ACQUIRE_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+        return this.acquire({ hash, key, size, mimetype }, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  // Record the derivatives generated for a stored object so later references reuse them
+  async setDerivatives(hash, { thumbnailKey, displayKey, animatedThumbnailKey, animatedDisplayKey, derivatives, placeholder, perceptualHash }) {
+    await StoredObject.updateOne({ hash }, {
+      thumbnailKey,
+      displayKey,
+      animatedThumbnailKey,
+      animatedDisplayKey,
+      derivatives,
+      placeholder,
+      perceptualHash
+    });
+  }
+
+  // Drop a photo's reference, deleting the stored files when none remain
+  async release(photo) {
+    // Edited or watermarked derivatives and cached transformations belong
+    // to this photo alone
+    if (photo.renditionVariant) {
+      await this.deleteFiles(photo.thumbnailS3Key, photo.displayS3Key, ...renditionKeys(photo.derivatives));
+    }
+    await this.deleteFiles(...(photo.transformKeys || []));
+
+    if (!photo.contentHash) {
+      // Photos uploaded before deduplication own their files outright
+      return this.deleteFiles(
+        photo.s3Key,
+        photo.thumbnailS3Key,
+        photo.displayS3Key,
+        photo.animatedThumbnailS3Key,
+        photo.animatedDisplayS3Key,
+        ...renditionKeys(photo.derivatives)
+      );
+    }
+
+    const storedObject = await StoredObject.findOneAndUpdate(
+      { hash: photo.contentHash },
+      { $inc: { refCount: -1 } },
+      { new: true }
+    );
+
+    if (!storedObject) {
+      return this.deleteFiles(
+        photo.s3Key,
+        photo.thumbnailS3Key,
+        photo.displayS3Key,
+        photo.animatedThumbnailS3Key,
+        photo.animatedDisplayS3Key,
+        ...renditionKeys(photo.derivatives)
+      );
+    }
+
+    if (storedObject.refCount > 0) return;
+
+    // Remove the record before its files, so a concurrent upload of the same
+    // content stores a new object rather than pointing at deleted files
+    const removed = await StoredObject.findOneAndDelete({ _id: storedObject._id, refCount: { $lte: 0 } });
+    if (!removed) return;
+
+    await this.deleteFiles(
+      removed.key,
+      removed.thumbnailKey || photo.thumbnailS3Key,
+      removed.displayKey || photo.displayS3Key,
+      removed.animatedThumbnailKey || photo.animatedThumbnailS3Key,
+      removed.animatedDisplayKey || photo.animatedDisplayS3Key,
+      ...renditionKeys(removed.derivatives),
+      ...renditionKeys(photo.derivatives)
+    );
+  }
+
+  async deleteFiles(...keys) {
+    for (const key of new Set(keys)) {
+      if (key) {
+        await storage.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ContentDedupService,
+  renditionKeys
+};
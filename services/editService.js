@@ -0,0 +1,122 @@
+const { IMAGE_CONFIG } = require('../config/images');
+
+const ADJUSTMENTS = ['brightness', 'contrast', 'saturation'];
+
+const roundFraction = (value) => Math.round(value * 1e6) / 1e6;
+
+// Non-destructive edit recipes. A recipe is stored on the photo and applied
+// by the image processor whenever derivatives are rendered; every recipe
+// applied is kept in the photo's history so edits can be reverted.
+class PhotoEditService {
+  constructor() {
+    this.maxHistory = IMAGE_CONFIG.edits.maxHistory;
+  }
+
+  // Build a canonical recipe from a validated request body, dropping values
+  // that change nothing. Returns null when the recipe is a no-op.
+  normalize(body) {
+    const recipe = {};
+
+    const rotate = ((Number(body.rotate) || 0) % 360 + 360) % 360;
+    if (rotate) {
+      recipe.rotate = rotate;
+    }
+
+    if (body.flip && (body.flip.horizontal || body.flip.vertical)) {
+      recipe.flip = {
+        horizontal: Boolean(body.flip.horizontal),
+        vertical: Boolean(body.flip.vertical)
+      };
+    }
+
+    if (body.crop) {
+      const { left, top, width, height } = body.crop;
+      if (left > 0 || top > 0 || width < 1 || height < 1) {
+        recipe.crop = { left, top, width, height };
+      }
+    }
+
+    for (const adjustment of ADJUSTMENTS) {
+      if (body[adjustment] !== undefined && Number(body[adjustment]) !== 1) {
+        recipe[adjustment] = Number(body[adjustment]);
+      }
+    }
+
+    if (body.sepia) {
+      recipe.sepia = true;
+    } else if (body.grayscale) {
+      recipe.grayscale = true;
+    }
+
+    if (body.sharpen) {
+      recipe.sharpen = body.sharpen === true ? 1 : Number(body.sharpen);
+    }
+
+    return Object.keys(recipe).length > 0 ? recipe : null;
+  }
+
+  currentVersion(photo) {
+    const latest = photo.editHistory[photo.editHistory.length - 1];
+    return latest ? latest.version : 0;
+  }
+
+  // Make a recipe current and record it in the history (unless it already is)
+  record(photo, recipe) {
+    if (JSON.stringify(recipe) === JSON.stringify(photo.edits ?? null)) {
+      return this.currentVersion(photo);
+    }
+
+    const version = this.currentVersion(photo) + 1;
+    photo.edits = recipe;
+    photo.editHistory.push({ version, recipe, createdAt: new Date() });
+    if (photo.editHistory.length > this.maxHistory) {
+      photo.editHistory.splice(0, photo.editHistory.length - this.maxHistory);
+    }
+    return version;
+  }
+
+  // The recipe recorded as a version; version 0 is the original as uploaded
+  findVersion(photo, version) {
+    if (version === 0) return { version: 0, recipe: null };
+    return photo.editHistory.find(entry => entry.version === version) || null;
+  }
+
+  // Turn an edited image a further multiple of 90 degrees clockwise. Flip and
+  // crop apply in the rotated frame, so each quarter turn swaps the flip axes
+  // and turns the crop rectangle with the image. Returns a recipe to normalize.
+  rotate(recipe, degrees) {
+    const result = { ...(recipe || {}) };
+    const quarterTurns = ((Math.round(degrees / 90) % 4) + 4) % 4;
+
+    result.rotate = (result.rotate || 0) + quarterTurns * 90;
+
+    for (let turn = 0; turn < quarterTurns; turn++) {
+      if (result.flip) {
+        result.flip = { horizontal: result.flip.vertical, vertical: result.flip.horizontal };
+      }
+      if (result.crop) {
+        const { left, top, width, height } = result.crop;
+        // Rounded so turning back yields the exact original fractions
+        result.crop = { left: roundFraction(1 - top - height), top: left, width: height, height: width };
+      }
+    }
+
+    return result;
+  }
+
+  serialize(photo) {
+    return {
+      edits: photo.edits,
+      version: this.currentVersion(photo),
+      history: photo.editHistory.map(entry => ({
+        version: entry.version,
+        recipe: entry.recipe,
+        createdAt: entry.createdAt
+      }))
+    };
+  }
+}
+
+module.exports = {
+  PhotoEditService
+};
@@ -0,0 +1,36 @@
+const { parentPort } = require('worker_threads');
+const { handleEvent } = require('../lambda/processor');
+const { storage } = require('./storage');
+
+// Worker thread running the Lambda image processor against the app's storage
+// driver. Receives Lambda-style events and replies with the Lambda response body.
+
+const readObject = async (key) => {
+  const stream = await storage.getStream(key);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const io = {
+  get: readObject,
+  put: (key, body, contentType, metadata) => storage.put(key, body, {
+    contentType,
+    metadata: {
+      ...metadata,
+      'processed-by': 'pixelboard-worker'
+    }
+  })
+};
+
+parentPort.on('message', async (event) => {
+  try {
+    const results = await handleEvent(event, io);
+    parentPort.postMessage({ success: true, ...results });
+  } catch (error) {
+    console.error('Image processing error:', error);
+    parentPort.postMessage({ success: false, error: error.message, errorType: error.name });
+  }
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const heicDecode = require('heic-decode');
+const { storage } = require('./storage');
+const { IMAGE_CONFIG } = require('../config/images');
+const { parseExif, orientedSize } = require('../lambda/exif');
+const { animationInfo } = require('../lambda/animation');
+
+// Raised when an upload is not an acceptable image
+class ImageValidationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...this.details };
+  }
+}
+
+// Brands from an ISO base media `ftyp` box (major brand plus compatible brands)
+const ftypBrands = (buffer) => {
+  if (buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') {
+    return [];
+  }
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+};
+
+const hasBrand = (buffer, brands) => ftypBrands(buffer).some(brand => brands.includes(brand));
+
+// File signatures for the formats we know how to sniff. `sharpFormat` is the
+// name sharp reports when it differs from ours.
+const SIGNATURES = [
+  {
+    format: 'jpeg',
+    mimetype: 'image/jpeg',
+    test: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    format: 'png',
+    mimetype: 'image/png',
+    test: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    format: 'gif',
+    mimetype: 'image/gif',
+    test: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))
+  },
+  {
+    format: 'webp',
+    mimetype: 'image/webp',
+    test: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    format: 'avif',
+    sharpFormat: 'heif',
+    mimetype: 'image/avif',
+    test: buffer => hasBrand(buffer, ['avif', 'avis'])
+  },
+  {
+    format: 'heif',
+    mimetype: 'image/heic',
+    test: buffer => hasBrand(buffer, ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'])
+  },
+  {
+    format: 'heif',
+    mimetype: 'image/heif',
+    test: buffer => hasBrand(buffer, ['mif1', 'msf1'])
+  },
+  {
+    format: 'tiff',
+    mimetype: 'image/tiff',
+    test: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x49, 0x49, 0x2a, 0x00]))
+      || buffer.subarray(0, 4).equals(Buffer.from([0x4d, 0x4d, 0x00, 0x2a]))
+  }
+];
+
+// Detect an image format from its leading bytes, or null if unrecognized
+const sniffFormat = (buffer) => SIGNATURES.find(signature => signature.test(buffer)) || null;
+
+// Leading bytes read for sniffing; enough for an ftyp box's brand list
+const SNIFF_BYTES = 4096;
+
+// Image bytes from a buffer or file path, for decoders that only take buffers
+const readInput = (input) => (Buffer.isBuffer(input) ? input : fs.promises.readFile(input));
+
+// Validates uploads by content rather than the client-declared mimetype
+class ImageValidationService {
+  constructor(options = IMAGE_CONFIG) {
+    this.allowedFormats = options.allowedFormats;
+    this.maxPixels = options.maxPixels;
+    this.maxFrames = options.animation.maxFrames;
+  }
+
+  // Validate image bytes, returning the detected format, dimensions, EXIF and
+  // animation details
+  async validateBuffer(buffer) {
+    return this.validate(buffer, this.detectFormat(buffer));
+  }
+
+  // Signature of an allowed format sniffed from an image's leading bytes
+  detectFormat(head) {
+    const signature = sniffFormat(head);
+    if (!signature || !this.allowedFormats.includes(signature.format)) {
+      throw new ImageValidationError('UNSUPPORTED_FORMAT', 'File is not a supported image format', {
+        allowedFormats: this.allowedFormats
+      });
+    }
+    return signature;
+  }
+
+  // Validate an image given as a buffer or file path, whose leading bytes
+  // matched `signature`
+  async validate(input, signature) {
+    let metadata;
+    try {
+      metadata = await this.readMetadata(input, signature);
+    } catch (error) {
+      throw new ImageValidationError('DECODE_FAILED', 'Image could not be decoded');
+    }
+
+    if (metadata.format !== (signature.sharpFormat || signature.format)) {
+      throw new ImageValidationError('FORMAT_MISMATCH', 'Image contents do not match its file signature', {
+        detectedFormat: signature.format
+      });
+    }
+
+    if (!metadata.width || !metadata.height || metadata.width * metadata.height > this.maxPixels) {
+      throw new ImageValidationError('IMAGE_TOO_LARGE', 'Image dimensions exceed the allowed pixel count', {
+        width: metadata.width,
+        height: metadata.height,
+        maxPixels: this.maxPixels
+      });
+    }
+
+    const animation = animationInfo(metadata);
+    if (animation && animation.frames > this.maxFrames) {
+      throw new ImageValidationError('TOO_MANY_FRAMES', 'Animation has too many frames', {
+        frames: animation.frames,
+        maxFrames: this.maxFrames
+      });
+    }
+
+    // Fully decode the pixel data so truncated or corrupt images are caught here
+    try {
+      if (metadata.compression === 'hevc') {
+        await heicDecode({ buffer: await readInput(input) });
+      } else {
+        await sharp(input, { limitInputPixels: this.maxPixels, failOn: 'error' })
+          .resize(64, 64, { fit: 'inside' })
+          .raw()
+          .toBuffer();
+      }
+    } catch (error) {
+      throw new ImageValidationError('DECODE_FAILED', 'Image could not be decoded');
+    }
+
+    // Stored dimensions are the visual ones, after EXIF orientation
+    const { width, height } = orientedSize(metadata);
+
+    return {
+      format: signature.format,
+      mimetype: signature.mimetype,
+      width,
+      height,
+      exif: parseExif(metadata.exif),
+      animation
+    };
+  }
+
+  // Read image metadata. Prebuilt sharp has no HEVC decoder, so HEIC headers
+  // it cannot parse are read with libheif-js instead, which needs the whole
+  // file in memory.
+  async readMetadata(input, signature) {
+    try {
+      return await sharp(input, { limitInputPixels: this.maxPixels }).metadata();
+    } catch (error) {
+      if (signature.format !== 'heif') throw error;
+
+      const [image] = await heicDecode.all({ buffer: await readInput(input) });
+      return {
+        format: 'heif',
+        compression: 'hevc',
+        width: image.width,
+        height: image.height
+      };
+    }
+  }
+
+  // Validate an object already written to storage. Its leading bytes are
+  // sniffed first, so other files are rejected without downloading them;
+  // images are decoded from a temp file rather than held in memory.
+  async validateStoredObject(key) {
+    const signature = this.detectFormat(await this.readHead(key));
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pixelboard-validate-'));
+    try {
+      const filePath = path.join(tempDir, 'image');
+      await pipeline(await storage.getStream(key), fs.createWriteStream(filePath));
+      return await this.validate(filePath, signature);
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  // The first SNIFF_BYTES of a stored object; the rest is not read
+  async readHead(key) {
+    const stream = await storage.getStream(key);
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      // Leaving the loop early destroys the stream
+      if (length >= SNIFF_BYTES) break;
+    }
+    return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+  }
+}
+
+module.exports = {
+  ImageValidationService,
+  ImageValidationError,
+  sniffFormat
+};
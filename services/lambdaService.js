@@ -1,12 +1,41 @@
 const { InvokeCommand } = require('@aws-sdk/client-lambda');
 const { lambdaClient, LAMBDA_CONFIG } = require('../config/aws');
+const { IMAGE_CONFIG } = require('../config/images');
+const { getLocalImageProcessor } = require('./localImageProcessor');
 
+// Image processing through the Lambda function, or through the same code on
+// local worker threads when IMAGE_CONFIG.processor.driver is 'local'
 class LambdaImageProcessingService {
-  constructor() {
+  constructor({ driver = IMAGE_CONFIG.processor.driver } = {}) {
+    this.driver = driver;
     this.functionName = LAMBDA_CONFIG.imageProcessorFunction;
   }
 
-  // Invoke Lambda function for image processing
+  // Run the processor, returning its response body (null for async Lambda calls)
+  async invoke(payload, { async = false } = {}) {
+    if (this.driver === 'local') {
+      // Serialize like a Lambda payload so both drivers see the same event
+      const run = getLocalImageProcessor().run(JSON.parse(JSON.stringify(payload)));
+      if (!async) return run;
+      run.catch(error => console.error('Local image processing error:', error));
+      return null;
+    }
+
+    const command = new InvokeCommand({
+      FunctionName: this.functionName,
+      Payload: JSON.stringify(payload),
+      InvocationType: async ? 'Event' : 'RequestResponse'
+    });
+
+    const response = await lambdaClient.send(command);
+    if (async) return null;
+
+    const responsePayload = JSON.parse(new TextDecoder().decode(response.Payload));
+    // The handler wraps its result as { statusCode, body }
+    return typeof responsePayload.body === 'string' ? JSON.parse(responsePayload.body) : responsePayload;
+  }
+
+  // Generate an image's derivatives
   async processImage(imageKey, options = {}) {
     try {
       const payload = {
@@ -17,41 +46,72 @@ class LambdaImageProcessingService {
           thumbnailSize: options.thumbnailSize || { width: 300, height: 300 },
           quality: options.quality || 80,
           format: options.format || 'jpeg',
+          renditions: IMAGE_CONFIG.renditions,
+          cropStrategy: IMAGE_CONFIG.crop.strategy,
+          animation: IMAGE_CONFIG.animation,
           ...options
         }
       };
 
-      const command = new InvokeCommand({
-        FunctionName: this.functionName,
-        Payload: JSON.stringify(payload),
-        InvocationType: options.async ? 'Event' : 'RequestResponse'
-      });
+      const result = await this.invoke(payload, { async: options.async });
 
-      const response = await lambdaClient.send(command);
-      
       if (options.async) {
-        return { success: true, async: true, statusCode: response.StatusCode };
+        return { success: true, async: true };
       }
 
-      const result = JSON.parse(new TextDecoder().decode(response.Payload));
-      
-      if (result.errorMessage) {
-        throw new Error(result.errorMessage);
+      if (result.errorMessage || result.success === false) {
+        throw new Error(result.errorMessage || result.error);
       }
 
       return {
         success: true,
         originalKey: imageKey,
         thumbnailKey: result.thumbnailKey,
+        displayKey: result.displayKey,
         metadata: result.metadata,
+        exif: result.exif,
+        animation: result.animation,
+        animatedThumbnailKey: result.animatedThumbnailKey,
+        animatedDisplayKey: result.animatedDisplayKey,
+        displayMetadata: result.displayMetadata,
+        derivatives: result.derivatives,
+        placeholder: result.placeholder,
+        perceptualHash: result.perceptualHash,
         processedAt: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Lambda image processing error:', error);
+      console.error('Image processing error:', error);
       throw new Error(`Failed to process image: ${error.message}`);
     }
   }
 
+  // Render one image at a requested size and format into options.outputKey
+  async transformImage(imageKey, options) {
+    try {
+      const result = await this.invoke({
+        operation: 'transform',
+        imageKey,
+        bucket: process.env.S3_BUCKET_NAME,
+        options
+      });
+
+      if (result.errorMessage || result.success === false) {
+        throw new Error(result.errorMessage || result.error);
+      }
+
+      return {
+        key: result.key,
+        contentType: result.contentType,
+        width: result.width,
+        height: result.height,
+        size: result.size
+      };
+    } catch (error) {
+      console.error('Image transform error:', error);
+      throw new Error(`Failed to transform image: ${error.message}`);
+    }
+  }
+
   // Process multiple images in batch
   async processImageBatch(imageKeys, options = {}) {
     try {
@@ -80,22 +140,6 @@ class LambdaImageProcessingService {
       throw new Error(`Failed to process image batch: ${error.message}`);
     }
   }
-
-  // Get processing status (for async operations)
-  async getProcessingStatus(requestId) {
-    try {
-      // This would typically query a status table in DynamoDB
-      // For now, we'll return a placeholder
-      return {
-        requestId,
-        status: 'completed',
-        message: 'Processing status tracking not implemented yet'
-      };
-    } catch (error) {
-      console.error('Error getting processing status:', error);
-      throw new Error(`Failed to get processing status: ${error.message}`);
-    }
-  }
 }
 
 module.exports = {
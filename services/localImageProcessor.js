@@ -0,0 +1,96 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { IMAGE_CONFIG } = require('../config/images');
+
+// Runs the Lambda image processor on a pool of worker threads so sharp work
+// stays off the event loop. At most `size` images are processed at once;
+// further requests wait in a queue. Workers are started on demand and
+// replaced if they crash.
+class LocalImageProcessor {
+  constructor({ size = IMAGE_CONFIG.processor.workers } = {}) {
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.tasks = new Map();
+    this.queue = [];
+  }
+
+  // Process one Lambda-style event, resolving with the Lambda response body
+  run(event) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ event, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) return;
+        worker = this.spawn();
+      }
+
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+      // Only busy workers keep the process alive
+      worker.ref();
+      worker.postMessage(task.event);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(path.join(__dirname, 'imageProcessorWorker.js'));
+
+    worker.on('message', (result) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      worker.unref();
+      this.idle.push(worker);
+      if (task) task.resolve(result);
+      this.dispatch();
+    });
+
+    worker.on('error', (error) => {
+      console.error('Image worker error:', error);
+      this.fail(worker, error);
+    });
+
+    worker.on('exit', (code) => {
+      this.fail(worker, new Error(`Image worker exited with code ${code}`));
+      this.workers.delete(worker);
+      this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+      this.dispatch();
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  // Reject the task a worker was running, if any
+  fail(worker, error) {
+    const task = this.tasks.get(worker);
+    if (!task) return;
+    this.tasks.delete(worker);
+    task.reject(error);
+  }
+
+  // Stop every worker
+  async close() {
+    await Promise.all([...this.workers].map(worker => worker.terminate()));
+  }
+}
+
+// One pool per process, shared by every service instance
+let pool = null;
+const getLocalImageProcessor = () => {
+  if (!pool) {
+    pool = new LocalImageProcessor();
+  }
+  return pool;
+};
+
+module.exports = {
+  LocalImageProcessor,
+  getLocalImageProcessor
+};
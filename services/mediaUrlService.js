@@ -0,0 +1,85 @@
+const { storage } = require('./storage');
+const { STORAGE_CONFIG } = require('../config/storage');
+
+// Signed URLs by key, shared by every resolver in the process
+const signedUrlCache = new Map();
+
+// Storage keys of every file a photo response may link to
+const photoKeys = (photo) => {
+  const keys = [
+    photo.s3Key,
+    photo.thumbnailS3Key,
+    photo.displayS3Key,
+    photo.animatedThumbnailS3Key,
+    photo.animatedDisplayS3Key
+  ];
+  for (const [, renditions] of photo.derivatives || []) {
+    keys.push(...renditions.map(rendition => rendition.key));
+  }
+  return keys;
+};
+
+// Turns storage keys into URLs browsers can load: the public object URL or
+// local path, or a presigned URL when the bucket is private. Signed URLs are
+// cached and reused until half their lifetime has passed, so a photo keeps
+// the same URL (and stays in browser caches) across requests.
+class MediaUrlResolver {
+  constructor({ driver = storage, config = STORAGE_CONFIG.urls, cache = signedUrlCache } = {}) {
+    this.driver = driver;
+    this.config = config;
+    this.cache = cache;
+  }
+
+  get signed() {
+    return this.config.mode === 'signed';
+  }
+
+  // URL of one key, or null without a key. `signed` overrides the mode.
+  async url(key, { signed = this.signed } = {}) {
+    if (!key) return null;
+    if (!signed) return this.driver.getPublicUrl(key);
+
+    const cached = this.cache.get(key);
+    const now = Date.now();
+    if (cached && cached.refreshAt > now) {
+      return cached.url;
+    }
+
+    const { expiresIn } = this.config;
+    const url = await this.driver.getUrl(key, { signed: true, expiresIn });
+
+    // Drop the oldest entry once full; Maps iterate in insertion order
+    this.cache.delete(key);
+    if (this.cache.size >= this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { url, refreshAt: now + expiresIn * 500 });
+
+    return url;
+  }
+
+  // Resolve many keys at once, signing those in `signed` whatever the mode.
+  // Returns a lookup from key to URL (null for missing keys), so response
+  // builders can stay synchronous.
+  async resolve(keys, { signed = [] } = {}) {
+    const unique = [...new Set(keys.filter(Boolean))];
+    const alwaysSigned = new Set(signed);
+    const urls = new Map(await Promise.all(unique.map(async key => [
+      key,
+      await this.url(key, alwaysSigned.has(key) ? { signed: true } : undefined)
+    ])));
+    return (key) => (key ? urls.get(key) || null : null);
+  }
+
+  // Lookup covering every file of the given photos. Originals are always
+  // signed: local storage refuses unsigned requests for them, so only the
+  // viewers a response links them for can download them.
+  async forPhotos(photos) {
+    return this.resolve(photos.flatMap(photoKeys), { signed: photos.map(photo => photo.s3Key) });
+  }
+}
+
+module.exports = {
+  MediaUrlResolver,
+  photoKeys
+};
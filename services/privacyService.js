@@ -0,0 +1,44 @@
+const { IMAGE_CONFIG } = require('../config/images');
+
+// Decides how much of a photo's EXIF other users may see. The photo's own
+// setting overrides its owner's; owners always see everything. Derivatives
+// never carry metadata, so only the original file and the API need guarding.
+class ExifPrivacyService {
+  // Effective privacy mode for a photo
+  resolve(photo, owner) {
+    return photo.exifPrivacy || (owner && owner.exifPrivacy) || IMAGE_CONFIG.exif.defaultPrivacy;
+  }
+
+  // Parsed EXIF as shown to other users
+  publicExif(photo, owner) {
+    const exif = photo.metadata && photo.metadata.exif;
+    if (!exif) return null;
+
+    switch (this.resolve(photo, owner)) {
+      case 'keep':
+        return exif;
+      case 'strip-gps': {
+        const { gps, ...rest } = exif;
+        return rest;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Whether other users may download the original. It is served byte for
+  // byte, so it stays private whenever it holds EXIF the setting hides, or
+  // when its EXIF has not been read yet.
+  exposesOriginal(photo, owner) {
+    const exif = photo.metadata ? photo.metadata.exif : undefined;
+    const mode = this.resolve(photo, owner);
+
+    if (mode === 'keep' || exif === null) return true;
+    if (mode === 'strip-gps') return Boolean(exif) && !exif.gps;
+    return false;
+  }
+}
+
+module.exports = {
+  ExifPrivacyService
+};
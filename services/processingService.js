@@ -0,0 +1,250 @@
+const Photo = require('../models/Photo');
+const ProcessingJob = require('../models/ProcessingJob');
+const StoredObject = require('../models/StoredObject');
+const { LambdaImageProcessingService } = require('./lambdaService');
+const { ContentDedupService } = require('./dedupService');
+const { PhotoRenditionService } = require('./renditionService');
+const { PROCESSING_CONFIG } = require('../config/processing');
+
+// Options for the derivatives shared by every photo of the same content
+const PROCESSING_OPTIONS = {
+  generateThumbnail: true,
+  thumbnailSize: { width: 300, height: 300 },
+  quality: 80
+};
+
+// Generates photo derivatives in background jobs so uploads return straight
+// away. Jobs live in MongoDB and are claimed atomically, so several workers
+// can share the queue. Each job moves queued -> processing -> completed, or
+// back to queued with a growing delay until its attempts run out.
+class PhotoProcessingService {
+  constructor() {
+    this.config = PROCESSING_CONFIG;
+    this.imageProcessor = new LambdaImageProcessingService();
+    this.dedupService = new ContentDedupService();
+    this.renditionService = new PhotoRenditionService();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Queue processing for a photo, reusing a job that has not finished yet
+  async enqueue(photo, type = 'process') {
+    try {
+      let job = await ProcessingJob.findOne({
+        photo: photo._id,
+        type,
+        status: { $in: ['queued', 'processing'] }
+      });
+      if (!job) {
+        job = await ProcessingJob.create({ photo: photo._id, type });
+      }
+
+      photo.processingStatus = 'pending';
+      photo.processingError = undefined;
+      await Photo.updateOne(
+        { _id: photo._id },
+        { processingStatus: 'pending', $unset: { processingError: 1 } }
+      );
+
+      return job;
+    } catch (error) {
+      console.error('Processing enqueue error:', error);
+      throw new Error(`Failed to queue photo processing: ${error.message}`);
+    }
+  }
+
+  // Processing state of a photo and its most recent job
+  async getStatus(photo) {
+    const job = await ProcessingJob.findOne({ photo: photo._id }).sort({ createdAt: -1 });
+
+    return {
+      status: photo.processingStatus,
+      error: photo.processingError || null,
+      job: job ? {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+        error: job.error || null,
+        updatedAt: job.updatedAt
+      } : null
+    };
+  }
+
+  // Generate the derivatives shared through deduplication (reusing existing
+  // ones unless forced), then render the photo's own edited or watermarked
+  // copies if it needs them
+  async processPhoto(photo, { force = false } = {}) {
+    let shared = photo.contentHash && await StoredObject.findOne({ hash: photo.contentHash });
+
+    if (force || !shared || !shared.thumbnailKey || !shared.perceptualHash) {
+      const processingResult = await this.imageProcessor.processImage(photo.s3Key, PROCESSING_OPTIONS);
+      shared = await this.recordResult(photo, processingResult);
+    }
+
+    await this.applyShared(photo, shared, { force });
+  }
+
+  // Take what the processor found out about a photo's original and share
+  // its derivatives with the stored object. Returns the shared derivatives.
+  async recordResult(photo, processingResult) {
+    // Backfills EXIF, oriented dimensions and animation details for photos
+    // uploaded before they were recorded
+    if (processingResult.exif !== undefined) {
+      photo.set('metadata.exif', processingResult.exif);
+    }
+    if (processingResult.animation !== undefined) {
+      photo.set('metadata.animation', processingResult.animation);
+    }
+    if (processingResult.metadata) {
+      photo.set('metadata.width', processingResult.metadata.width);
+      photo.set('metadata.height', processingResult.metadata.height);
+    }
+    const shared = {
+      thumbnailKey: processingResult.thumbnailKey,
+      displayKey: processingResult.displayKey,
+      animatedThumbnailKey: processingResult.animatedThumbnailKey,
+      animatedDisplayKey: processingResult.animatedDisplayKey,
+      derivatives: processingResult.derivatives,
+      placeholder: processingResult.placeholder,
+      perceptualHash: processingResult.perceptualHash
+    };
+    if (photo.contentHash) {
+      await this.dedupService.setDerivatives(photo.contentHash, shared);
+    }
+    return shared;
+  }
+
+  // Point a photo at the shared derivatives, or re-render its own copies
+  async applyShared(photo, shared, { force = false } = {}) {
+    photo.perceptualHash = shared.perceptualHash;
+
+    // Edited or watermarked photos keep their own derivatives, which are
+    // re-rendered below
+    if (!photo.renditionVariant) {
+      photo.thumbnailS3Key = shared.thumbnailKey;
+      photo.displayS3Key = shared.displayKey;
+      photo.animatedThumbnailS3Key = shared.animatedThumbnailKey;
+      photo.animatedDisplayS3Key = shared.animatedDisplayKey;
+      photo.derivatives = shared.derivatives;
+      photo.placeholder = shared.placeholder;
+    }
+    await photo.save();
+
+    await this.renditionService.apply(photo, { force: force && Boolean(photo.renditionVariant) });
+  }
+
+  // Delay before the next attempt after `attempts` failures
+  retryDelay(attempts) {
+    return Math.min(this.config.retryDelay * 2 ** (attempts - 1), this.config.maxRetryDelay);
+  }
+
+  // Atomically take the next due job
+  async claimNext() {
+    return ProcessingJob.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: new Date() } },
+      { status: 'processing', lockedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Requeue jobs whose worker died mid-run
+  async recoverStale() {
+    await ProcessingJob.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - this.config.lockTimeout) } },
+      { status: 'queued', runAt: new Date() }
+    );
+  }
+
+  async runJob(job) {
+    const photo = await Photo.findById(job.photo);
+
+    if (!photo) {
+      job.status = 'failed';
+      job.error = 'Photo no longer exists';
+      job.finishedAt = new Date();
+      return job.save();
+    }
+
+    photo.processingStatus = 'processing';
+    await Photo.updateOne({ _id: photo._id }, { processingStatus: 'processing' });
+
+    try {
+      await this.processPhoto(photo, { force: job.type === 'reprocess' });
+
+      photo.processingStatus = 'completed';
+      photo.processingError = undefined;
+      await photo.save();
+
+      job.status = 'completed';
+      job.error = undefined;
+      job.finishedAt = new Date();
+      await job.save();
+    } catch (error) {
+      console.error(`Processing job ${job._id} failed (attempt ${job.attempts}):`, error);
+
+      const retry = job.attempts < job.maxAttempts;
+      job.error = error.message;
+      if (retry) {
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + this.retryDelay(job.attempts));
+      } else {
+        job.status = 'failed';
+        job.finishedAt = new Date();
+      }
+      await job.save();
+
+      await Photo.updateOne(
+        { _id: photo._id },
+        { processingStatus: retry ? 'pending' : 'failed', processingError: error.message }
+      );
+    }
+  }
+
+  // Work through every due job, `concurrency` at a time
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverStale();
+
+      for (;;) {
+        const jobs = [];
+        while (jobs.length < this.config.concurrency) {
+          const job = await this.claimNext();
+          if (!job) break;
+          jobs.push(job);
+        }
+        if (jobs.length === 0) break;
+
+        await Promise.all(jobs.map(job => this.runJob(job).catch(error => {
+          console.error(`Processing job ${job._id} error:`, error);
+        })));
+      }
+    } catch (error) {
+      console.error('Processing queue error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Poll the queue periodically
+  start() {
+    if (this.timer || !this.config.enabled) return;
+    this.timer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  PhotoProcessingService,
+  PROCESSING_OPTIONS
+};
@@ -0,0 +1,116 @@
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const { PLAN_CONFIG } = require('../config/plans');
+
+// Raised when an upload would take a user over their storage quota
+class QuotaExceededError extends Error {
+  constructor(usage, quota) {
+    super('Storage quota exceeded');
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.usage = usage;
+    this.quota = quota;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, usage: this.usage, quota: this.quota };
+  }
+}
+
+// Per-user storage quotas and running usage totals
+class QuotaService {
+  // Effective quota: per-user override, falling back to the plan default
+  getQuota(user) {
+    const plan = PLAN_CONFIG.plans[user.plan] || PLAN_CONFIG.plans[PLAN_CONFIG.defaultPlan];
+    return {
+      bytes: user.quota?.bytes ?? plan.bytes,
+      photos: user.quota?.photos ?? plan.photos
+    };
+  }
+
+  getUsage(user) {
+    return {
+      bytes: user.usage?.bytes || 0,
+      photos: user.usage?.photos || 0
+    };
+  }
+
+  // Throw if the user cannot add a photo of the given size right now
+  assertAvailable(user, bytes = 0) {
+    const usage = this.getUsage(user);
+    const quota = this.getQuota(user);
+    if (usage.photos + 1 > quota.photos || usage.bytes + bytes > quota.bytes) {
+      throw new QuotaExceededError(usage, quota);
+    }
+  }
+
+  // Atomically add a photo to the user's usage if it fits within their quota
+  async reserve(user, bytes) {
+    await this.ensureCounted(user._id);
+
+    const quota = this.getQuota(user);
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'usage.bytes': { $lte: quota.bytes - bytes },
+        'usage.photos': { $lte: quota.photos - 1 }
+      },
+      { $inc: { 'usage.bytes': bytes, 'usage.photos': 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const current = await User.findById(user._id);
+      throw new QuotaExceededError(this.getUsage(current || user), quota);
+    }
+  }
+
+  // Remove a photo from the user's usage
+  async release(userId, bytes) {
+    // A first count already leaves out the removed photo
+    if (await this.ensureCounted(userId)) return;
+
+    await User.updateOne(
+      { _id: userId },
+      { $inc: { 'usage.bytes': -bytes, 'usage.photos': -1 } }
+    );
+  }
+
+  // Count the photos of a user whose usage was never counted (accounts
+  // created before quotas), so their existing library counts against the
+  // quota. Returns true when it counted.
+  async ensureCounted(userId) {
+    if (!(await User.exists({ _id: userId, 'usage.countedAt': { $exists: false } }))) {
+      return false;
+    }
+
+    // Only the first of concurrent counts is written
+    const usage = await this.countUsage(userId);
+    await User.updateOne({ _id: userId, 'usage.countedAt': { $exists: false } }, { usage });
+    return true;
+  }
+
+  // Rebuild a user's usage totals from their photos
+  async recalculate(userId) {
+    const usage = await this.countUsage(userId);
+    await User.updateOne({ _id: userId }, { usage });
+    return usage;
+  }
+
+  async countUsage(userId) {
+    const [totals] = await Photo.aggregate([
+      { $match: { uploadedBy: userId, uploadStatus: { $ne: 'pending' } } },
+      { $group: { _id: null, bytes: { $sum: '$size' }, photos: { $sum: 1 } } }
+    ]);
+
+    return {
+      bytes: totals?.bytes || 0,
+      photos: totals?.photos || 0,
+      countedAt: new Date()
+    };
+  }
+}
+
+module.exports = {
+  QuotaService,
+  QuotaExceededError
+};
@@ -0,0 +1,239 @@
+const Photo = require('../models/Photo');
+const Album = require('../models/Album');
+const User = require('../models/User');
+const StoredObject = require('../models/StoredObject');
+const UploadSession = require('../models/UploadSession');
+const { storage } = require('./storage');
+const { STORAGE_CONFIG } = require('../config/storage');
+const { IMAGE_CONFIG } = require('../config/images');
+const { renditionKeys } = require('./dedupService');
+const { PhotoProcessingService } = require('./processingService');
+
+// Key prefixes the app writes to
+const APP_PREFIXES = ['photos/', IMAGE_CONFIG.transform.keyPrefix, 'watermarks/'];
+
+// Drop prefixes already covered by a shorter one, so nothing is listed twice
+const distinctPrefixes = (prefixes) => [...prefixes]
+  .sort()
+  .filter((prefix, index, sorted) => !sorted.slice(0, index).some(other => prefix.startsWith(other)));
+
+// Cross-checks storage against the database. Finds stored objects no record
+// references, photos whose original or derivatives are gone, and photos that
+// never got a thumbnail. In fix mode orphans are deleted, missing derivatives
+// are regenerated and photos with a missing original are marked broken.
+// Only keys under `prefixes` are listed, so objects other applications keep
+// in the same bucket are never reported or deleted.
+class ReconciliationService {
+  constructor({ minAge = 24 * 60 * 60 * 1000, prefixes = STORAGE_CONFIG.reconcile.prefixes || APP_PREFIXES } = {}) {
+    // Objects younger than this may belong to an upload still in flight
+    this.minAge = minAge;
+    this.prefixes = distinctPrefixes(prefixes);
+    this.processingService = new PhotoProcessingService();
+  }
+
+  // Whether a key is under one of the listed prefixes
+  inScope(key) {
+    return this.prefixes.some(prefix => key.startsWith(prefix));
+  }
+
+  // Whether a photo's file is stored. Keys outside the listed prefixes
+  // (such as uploads from before keys were prefixed) are checked one by one.
+  async isStored(key, storedKeys) {
+    if (storedKeys.has(key)) return true;
+    return !this.inScope(key) && await storage.head(key) !== null;
+  }
+
+  // Every storage key referenced by a photo, shared object, open upload or
+  // watermark logo
+  async collectReferencedKeys() {
+    const keys = new Set();
+    const add = (...values) => values.forEach(value => value && keys.add(value));
+
+    for await (const photo of Photo.find({}, 's3Key thumbnailS3Key displayS3Key animatedThumbnailS3Key animatedDisplayS3Key derivatives transformKeys').lean().cursor()) {
+      add(
+        photo.s3Key,
+        photo.thumbnailS3Key,
+        photo.displayS3Key,
+        photo.animatedThumbnailS3Key,
+        photo.animatedDisplayS3Key,
+        ...renditionKeys(photo.derivatives),
+        ...(photo.transformKeys || [])
+      );
+    }
+    for await (const object of StoredObject.find({}, 'key thumbnailKey displayKey animatedThumbnailKey animatedDisplayKey derivatives').lean().cursor()) {
+      add(object.key, object.thumbnailKey, object.displayKey, object.animatedThumbnailKey, object.animatedDisplayKey, ...renditionKeys(object.derivatives));
+    }
+    for await (const session of UploadSession.find({ status: 'active' }, 'key').lean().cursor()) {
+      add(session.key);
+    }
+    for await (const user of User.find({ 'watermark.imageKey': { $exists: true } }, 'watermark').lean().cursor()) {
+      add(user.watermark.imageKey);
+    }
+    for await (const album of Album.find({ 'watermark.imageKey': { $exists: true } }, 'watermark').lean().cursor()) {
+      add(album.watermark.imageKey);
+    }
+
+    return keys;
+  }
+
+  // Walk the listed prefixes, returning the set of stored keys and the
+  // unreferenced ones
+  async scanStorage(referencedKeys) {
+    const storedKeys = new Set();
+    const orphans = [];
+    const cutoff = Date.now() - this.minAge;
+
+    for (const prefix of this.prefixes) {
+      for await (const object of storage.list(prefix)) {
+        storedKeys.add(object.key);
+        if (!referencedKeys.has(object.key) && new Date(object.lastModified).getTime() < cutoff) {
+          orphans.push(object);
+        }
+      }
+    }
+
+    return { storedKeys, orphans };
+  }
+
+  // Find finalized photos with a missing original or missing derivatives
+  async scanPhotos(storedKeys) {
+    const missingOriginals = [];
+    const missingDerivatives = [];
+    let scanned = 0;
+
+    for await (const photo of Photo.find({ uploadStatus: { $ne: 'pending' } }).cursor()) {
+      scanned++;
+
+      const stored = (key) => this.isStored(key, storedKeys);
+
+      if (!(await stored(photo.s3Key))) {
+        missingOriginals.push(photo);
+        continue;
+      }
+
+      const reasons = [];
+      if (!photo.thumbnailS3Key) {
+        reasons.push('no_thumbnail');
+      } else if (!(await stored(photo.thumbnailS3Key))) {
+        reasons.push('thumbnail_missing');
+      }
+      if (photo.displayS3Key && !(await stored(photo.displayS3Key))) {
+        reasons.push('display_missing');
+      }
+      if (await this.anyMissing([photo.animatedThumbnailS3Key, photo.animatedDisplayS3Key].filter(Boolean), storedKeys)) {
+        reasons.push('animation_missing');
+      }
+      if (await this.anyMissing(renditionKeys(photo.derivatives), storedKeys)) {
+        reasons.push('renditions_missing');
+      }
+
+      if (reasons.length > 0) {
+        missingDerivatives.push({ photo, reasons });
+      } else if (photo.storageStatus === 'missing') {
+        // The original has reappeared since the last run
+        missingDerivatives.push({ photo, reasons: [] });
+      }
+    }
+
+    return { scanned, missingOriginals, missingDerivatives };
+  }
+
+  // Whether any of the keys is not stored
+  async anyMissing(keys, storedKeys) {
+    for (const key of keys) {
+      if (!(await this.isStored(key, storedKeys))) return true;
+    }
+    return false;
+  }
+
+  // Regenerate a photo's derivatives and share them with its stored object
+  async reprocessPhoto(photo) {
+    await this.processingService.processPhoto(photo, { force: true });
+
+    photo.processingStatus = 'completed';
+    photo.processingError = undefined;
+    photo.storageStatus = 'ok';
+    await photo.save();
+  }
+
+  async run({ fix = false } = {}) {
+    try {
+      const referencedKeys = await this.collectReferencedKeys();
+      const { storedKeys, orphans } = await this.scanStorage(referencedKeys);
+      const { scanned, missingOriginals, missingDerivatives } = await this.scanPhotos(storedKeys);
+
+      const report = {
+        mode: fix ? 'fix' : 'dry-run',
+        prefixes: this.prefixes,
+        scanned: { objects: storedKeys.size, photos: scanned },
+        orphanedObjects: orphans.map(object => ({
+          key: object.key,
+          size: object.size,
+          lastModified: object.lastModified
+        })),
+        missingOriginals: missingOriginals.map(photo => ({
+          photoId: photo._id,
+          key: photo.s3Key
+        })),
+        missingDerivatives: missingDerivatives
+          .filter(({ reasons }) => reasons.length > 0)
+          .map(({ photo, reasons }) => ({
+            photoId: photo._id,
+            key: photo.s3Key,
+            reasons
+          }))
+      };
+
+      if (!fix) {
+        return report;
+      }
+
+      report.fixed = { deletedObjects: 0, markedBroken: 0, reprocessed: 0, failed: 0 };
+
+      for (const object of orphans) {
+        try {
+          await storage.delete(object.key);
+          report.fixed.deletedObjects++;
+        } catch (error) {
+          console.error(`Failed to delete orphaned object ${object.key}:`, error);
+          report.fixed.failed++;
+        }
+      }
+
+      for (const photo of missingOriginals) {
+        if (photo.storageStatus === 'missing') continue;
+        photo.storageStatus = 'missing';
+        await photo.save();
+        report.fixed.markedBroken++;
+      }
+
+      for (const { photo, reasons } of missingDerivatives) {
+        if (reasons.length === 0) {
+          photo.storageStatus = 'ok';
+          await photo.save();
+          continue;
+        }
+
+        try {
+          await this.reprocessPhoto(photo);
+          report.fixed.reprocessed++;
+        } catch (error) {
+          console.error(`Failed to reprocess photo ${photo._id}:`, error);
+          photo.processingStatus = 'failed';
+          photo.processingError = error.message;
+          await photo.save();
+          report.fixed.failed++;
+        }
+      }
+
+      return report;
+    } catch (error) {
+      console.error('Storage reconciliation error:', error);
+      throw new Error(`Failed to reconcile storage: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ReconciliationService
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const Photo = require('../models/Photo');
+const StoredObject = require('../models/StoredObject');
+const { LambdaImageProcessingService } = require('./lambdaService');
+const { ContentDedupService, renditionKeys } = require('./dedupService');
+const { WatermarkService } = require('./watermarkService');
+
+// Keeps a photo's derivatives in line with its edit recipe, watermark and
+// focal point. Photos with none of these point at the derivatives shared
+// through deduplication; anything else gets its own thumbnail, display
+// rendition and responsive renditions under keys tagged with a per-photo
+// variant. The stored original is never touched.
+class PhotoRenditionService {
+  constructor() {
+    this.imageProcessor = new LambdaImageProcessingService();
+    this.dedupService = new ContentDedupService();
+    this.watermarkService = new WatermarkService();
+  }
+
+  // Identify a photo's own derivatives. Includes the photo id so photos
+  // sharing an original never share (or delete) each other's copies, and a
+  // hash of what was applied so every change produces fresh URLs.
+  variantFor(photo, applied) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(applied)).digest('hex');
+    return `${photo._id}-${hash.slice(0, 8)}`;
+  }
+
+  // Keys of the derivatives a photo owns, if any
+  ownedKeys(photo) {
+    if (!photo.renditionVariant) return [];
+    return [photo.thumbnailS3Key, photo.displayS3Key, ...renditionKeys(photo.derivatives)];
+  }
+
+  // Point a photo back at the shared derivatives
+  async useSharedRenditions(photo) {
+    const storedObject = photo.contentHash && await StoredObject.findOne({ hash: photo.contentHash });
+
+    if (storedObject && storedObject.thumbnailKey) {
+      photo.thumbnailS3Key = storedObject.thumbnailKey;
+      photo.displayS3Key = storedObject.displayKey;
+      photo.animatedThumbnailS3Key = storedObject.animatedThumbnailKey;
+      photo.animatedDisplayS3Key = storedObject.animatedDisplayKey;
+      photo.derivatives = storedObject.derivatives;
+      photo.placeholder = storedObject.placeholder;
+    } else {
+      const processingResult = await this.imageProcessor.processImage(photo.s3Key, {
+        generateThumbnail: true,
+        thumbnailSize: { width: 300, height: 300 },
+        quality: 80
+      });
+      photo.thumbnailS3Key = processingResult.thumbnailKey;
+      photo.displayS3Key = processingResult.displayKey;
+      photo.animatedThumbnailS3Key = processingResult.animatedThumbnailKey;
+      photo.animatedDisplayS3Key = processingResult.animatedDisplayKey;
+      photo.derivatives = processingResult.derivatives;
+      photo.placeholder = processingResult.placeholder;
+    }
+    photo.renditionVariant = undefined;
+  }
+
+  // Re-render a photo's derivatives when its edits, watermark or focal point
+  // changed (or when forced). Returns true when the photo was updated.
+  async apply(photo, { force = false, owner = null } = {}) {
+    const watermark = await this.watermarkService.resolve(photo, owner);
+    const edits = photo.edits || null;
+    const focalPoint = photo.focalPoint ? { x: photo.focalPoint.x, y: photo.focalPoint.y } : null;
+    const variant = watermark || edits || focalPoint
+      ? this.variantFor(photo, focalPoint ? { edits, watermark, focalPoint } : { edits, watermark })
+      : undefined;
+
+    if (!force && variant === photo.renditionVariant) {
+      return false;
+    }
+
+    const previousKeys = [...this.ownedKeys(photo), ...(photo.transformKeys || [])];
+    photo.transformKeys = [];
+
+    if (variant) {
+      const processingResult = await this.imageProcessor.processImage(photo.s3Key, {
+        generateThumbnail: true,
+        thumbnailSize: { width: 300, height: 300 },
+        quality: 80,
+        edits,
+        watermark,
+        focalPoint,
+        variant
+      });
+      photo.thumbnailS3Key = processingResult.thumbnailKey;
+      photo.displayS3Key = processingResult.displayKey;
+      // Edited or watermarked animations are shown as stills
+      photo.animatedThumbnailS3Key = undefined;
+      photo.animatedDisplayS3Key = undefined;
+      photo.derivatives = processingResult.derivatives;
+      photo.placeholder = processingResult.placeholder;
+      photo.renditionVariant = variant;
+    } else {
+      await this.useSharedRenditions(photo);
+    }
+
+    await photo.save();
+
+    // Remove the superseded copies
+    const currentKeys = new Set(this.ownedKeys(photo));
+    await this.dedupService.deleteFiles(...previousKeys.filter(key => !currentKeys.has(key)));
+
+    return true;
+  }
+
+  // Re-render every uploaded photo matching the query
+  async applyAll(query) {
+    let updated = 0;
+
+    for await (const photo of Photo.find({ ...query, uploadStatus: { $ne: 'pending' } }).cursor()) {
+      try {
+        if (await this.apply(photo)) updated++;
+      } catch (error) {
+        console.error(`Failed to render photo ${photo._id}:`, error);
+      }
+    }
+
+    return { updated };
+  }
+}
+
+module.exports = {
+  PhotoRenditionService
+};
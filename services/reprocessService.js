@@ -0,0 +1,170 @@
+const Photo = require('../models/Photo');
+const ReprocessRun = require('../models/ReprocessRun');
+const { LambdaImageProcessingService } = require('./lambdaService');
+const { PhotoProcessingService, PROCESSING_OPTIONS } = require('./processingService');
+const { PROCESSING_CONFIG } = require('../config/processing');
+
+// Regenerates derivatives across the library (or a filtered part of it),
+// e.g. after thumbnail or rendition settings change. Originals are sent to
+// the image processor `concurrency` at a time through processImageBatch,
+// and the run is checkpointed after every batch so it can be resumed after
+// a crash. Failures are collected on the run rather than stopping it.
+class LibraryReprocessService {
+  constructor() {
+    this.imageProcessor = new LambdaImageProcessingService();
+    this.processingService = new PhotoProcessingService();
+  }
+
+  // Photos a run with this filter covers
+  buildQuery(filter = {}) {
+    const query = {
+      uploadStatus: { $ne: 'pending' },
+      deletedAt: null,
+      storageStatus: { $ne: 'missing' }
+    };
+
+    if (filter.user) {
+      query.uploadedBy = filter.user;
+    }
+    if (filter.since || filter.until) {
+      query.createdAt = {};
+      if (filter.since) query.createdAt.$gte = filter.since;
+      if (filter.until) query.createdAt.$lt = filter.until;
+    }
+    if (filter.missingOnly) {
+      query.$or = [
+        { thumbnailS3Key: null },
+        { derivatives: null },
+        { placeholder: null },
+        { perceptualHash: null }
+      ];
+    }
+
+    return query;
+  }
+
+  // Create a run for the photos matching the filter
+  async start(filter = {}, { concurrency = PROCESSING_CONFIG.reprocessConcurrency, startedBy } = {}) {
+    const total = await Photo.countDocuments(this.buildQuery(filter));
+    return ReprocessRun.create({ filter, concurrency, total, startedBy });
+  }
+
+  // Take over an unfinished run: one that was interrupted, or one still
+  // marked running whose process stopped checkpointing. Null when the run
+  // is finished or still alive elsewhere.
+  async claim(runId) {
+    return ReprocessRun.findOneAndUpdate(
+      {
+        _id: runId,
+        $or: [
+          { status: 'interrupted' },
+          { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - PROCESSING_CONFIG.lockTimeout) } }
+        ]
+      },
+      { status: 'running', heartbeatAt: new Date(), $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+
+  // Process the run's remaining photos batch by batch from its checkpoint.
+  // `onProgress(run)` is called after every checkpoint.
+  async execute(run, { onProgress } = {}) {
+    const query = this.buildQuery(run.filter);
+
+    try {
+      for (;;) {
+        const photos = await Photo.find(run.lastPhotoId ? { ...query, _id: { $gt: run.lastPhotoId } } : query)
+          .sort({ _id: 1 })
+          .limit(run.concurrency);
+        if (photos.length === 0) break;
+
+        await this.processBatch(run, photos);
+
+        run.lastPhotoId = photos[photos.length - 1]._id;
+        run.heartbeatAt = new Date();
+        await run.save();
+        if (onProgress) onProgress(run);
+      }
+
+      run.status = 'completed';
+      run.finishedAt = new Date();
+      await run.save();
+      return run;
+    } catch (error) {
+      console.error(`Reprocess run ${run._id} interrupted:`, error);
+      run.status = 'interrupted';
+      run.error = error.message;
+      await run.save();
+      throw new Error(`Reprocess run interrupted: ${error.message}`);
+    }
+  }
+
+  // Regenerate one batch. Photos sharing an original are processed once.
+  async processBatch(run, photos) {
+    const keys = [...new Set(photos.map(photo => photo.s3Key))];
+    const batch = await this.imageProcessor.processImageBatch(keys, {
+      ...PROCESSING_OPTIONS,
+      batchSize: run.concurrency
+    });
+    const results = new Map(batch.results.map(result => [result.originalKey || result.key, result]));
+
+    for (const photo of photos) {
+      try {
+        const result = results.get(photo.s3Key);
+        if (!result || !result.success) {
+          throw new Error(result ? result.error : 'No processing result');
+        }
+
+        const shared = await this.processingService.recordResult(photo, result);
+        await this.processingService.applyShared(photo, shared, { force: true });
+
+        photo.processingStatus = 'completed';
+        photo.processingError = undefined;
+        await photo.save();
+        run.succeeded++;
+      } catch (error) {
+        // The photo keeps the derivatives it had
+        console.error(`Failed to reprocess photo ${photo._id}:`, error);
+        run.failed++;
+        if (run.failures.length < PROCESSING_CONFIG.maxReprocessFailures) {
+          run.failures.push({ photo: photo._id, key: photo.s3Key, error: error.message });
+        }
+      }
+      run.processed++;
+    }
+  }
+
+  // Summary of a run and its failures
+  report(run) {
+    return {
+      id: run._id,
+      status: run.status,
+      filter: {
+        user: run.filter?.user || null,
+        since: run.filter?.since || null,
+        until: run.filter?.until || null,
+        missingOnly: Boolean(run.filter?.missingOnly)
+      },
+      concurrency: run.concurrency,
+      total: run.total,
+      processed: run.processed,
+      succeeded: run.succeeded,
+      failed: run.failed,
+      failures: run.failures.map(failure => ({
+        photoId: failure.photo,
+        key: failure.key,
+        error: failure.error,
+        at: failure.at
+      })),
+      // Failures past maxReprocessFailures, counted but not recorded
+      failuresOmitted: run.failed - run.failures.length,
+      error: run.error || null,
+      startedAt: run.createdAt,
+      finishedAt: run.finishedAt || null
+    };
+  }
+}
+
+module.exports = {
+  LibraryReprocessService
+};
@@ -1,16 +1,14 @@
-const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const { s3Client, S3_CONFIG } = require('../config/aws');
+const { STORAGE_CONFIG } = require('../config/storage');
+const { IMAGE_CONFIG } = require('../config/images');
+const { storage, DriverStorageEngine } = require('./storage');
 const multer = require('multer');
-const multerS3 = require('multer-s3');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
-// Multer S3 configuration for direct uploads
-const upload = multer({
-  storage: multerS3({
-    s3: s3Client,
-    bucket: S3_CONFIG.bucket,
+// Multer configuration streaming uploads into the configured storage driver
+const uploadOptions = {
+  storage: new DriverStorageEngine({
+    driver: storage,
     metadata: function (req, file, cb) {
       cb(null, {
         fieldName: file.fieldname,
@@ -26,77 +24,84 @@ const upload = multer({
     }
   }),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: STORAGE_CONFIG.maxFileSize,
   },
   fileFilter: function (req, file, cb) {
-    // Check file type
-    if (file.mimetype.startsWith('image/')) {
+    // Cheap pre-filter on the declared type; the bytes are validated after upload.
+    // Some browsers send HEIC/HEIF files as application/octet-stream.
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
       cb(null, true);
     } else {
       cb(new Error('Only image files are allowed!'), false);
     }
   }
-});
+};
 
-// Upload file to S3
-const uploadToS3 = async (fileBuffer, fileName, contentType, metadata = {}) => {
-  try {
-    const command = new PutObjectCommand({
-      Bucket: S3_CONFIG.bucket,
-      Key: fileName,
-      Body: fileBuffer,
-      ContentType: contentType,
-      Metadata: metadata
-    });
+const upload = multer(uploadOptions);
 
-    const result = await s3Client.send(command);
-    return {
-      success: true,
-      key: fileName,
-      location: `https://${S3_CONFIG.bucket}.s3.${S3_CONFIG.region}.amazonaws.com/${fileName}`,
-      etag: result.ETag
-    };
-  } catch (error) {
-    console.error('S3 upload error:', error);
-    throw new Error(`Failed to upload file to S3: ${error.message}`);
+// Watermark logos are small images stored under the owner's prefix
+const logoUpload = multer({
+  ...uploadOptions,
+  storage: new DriverStorageEngine({
+    driver: storage,
+    key: function (req, file, cb) {
+      const extension = path.extname(file.originalname);
+      cb(null, `watermarks/${req.user._id}/${Date.now()}-${uuidv4()}${extension}`);
+    }
+  }),
+  limits: {
+    fileSize: IMAGE_CONFIG.watermark.maxLogoSize,
+    files: 1
   }
-};
+});
 
-// Get signed URL for secure file access
-const getSignedUrlForFile = async (key, expiresIn = S3_CONFIG.signedUrlExpires) => {
-  try {
-    const command = new GetObjectCommand({
-      Bucket: S3_CONFIG.bucket,
-      Key: key
-    });
+// Batch uploads record rejected files on `req.rejectedFiles` instead of
+// failing the whole request, and stamp each file with its position
+const batchUpload = multer({
+  ...uploadOptions,
+  limits: {
+    ...uploadOptions.limits,
+    files: 20
+  },
+  fileFilter: function (req, file, cb) {
+    req.batchFileCount = (req.batchFileCount || 0) + 1;
+    file.batchIndex = req.batchFileCount - 1;
 
-    const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
-    return signedUrl;
-  } catch (error) {
-    console.error('Error generating signed URL:', error);
-    throw new Error(`Failed to generate signed URL: ${error.message}`);
+    uploadOptions.fileFilter(req, file, (error, accepted) => {
+      if (error) {
+        req.rejectedFiles = req.rejectedFiles || [];
+        req.rejectedFiles.push({ file, error: error.message });
+        return cb(null, false);
+      }
+      cb(null, accepted);
+    });
   }
+});
+
+// Upload file to storage
+const uploadToS3 = async (fileBuffer, fileName, contentType, metadata = {}) => {
+  const result = await storage.put(fileName, fileBuffer, { contentType, metadata });
+  return {
+    success: true,
+    key: result.key,
+    location: result.location,
+    etag: result.etag
+  };
 };
 
-// Delete file from S3
-const deleteFromS3 = async (key) => {
-  try {
-    const command = new DeleteObjectCommand({
-      Bucket: S3_CONFIG.bucket,
-      Key: key
-    });
+// Get signed URL for secure file access (served path for local storage)
+const getSignedUrlForFile = async (key, expiresIn) => {
+  return storage.getUrl(key, { signed: true, expiresIn });
+};
 
-    await s3Client.send(command);
-    return { success: true };
-  } catch (error) {
-    console.error('S3 delete error:', error);
-    throw new Error(`Failed to delete file from S3: ${error.message}`);
-  }
+// Delete file from storage
+const deleteFromS3 = async (key) => {
+  return storage.delete(key);
 };
 
 // Get public URL for file (if bucket is public)
 const getPublicUrl = (key) => {
-  return `https://${S3_CONFIG.bucket}.s3.${S3_CONFIG.region}.amazonaws.com/${key}`;
+  return storage.getPublicUrl(key);
 };
 
 // Generate thumbnail key from original key
@@ -109,6 +114,9 @@ const getThumbnailKey = (originalKey) => {
 
 module.exports = {
   upload,
+  batchUpload,
+  logoUpload,
+  storage,
   uploadToS3,
   getSignedUrlForFile,
   deleteFromS3,
@@ -0,0 +1,249 @@
+const Album = require('../models/Album');
+const { MediaUrlResolver } = require('./mediaUrlService');
+const { ExifPrivacyService } = require('./privacyService');
+const { WatermarkService } = require('./watermarkService');
+
+// Attributes every photo and album response has; `fields` picks from these
+const PHOTO_FIELDS = [
+  'id', 'title', 'description', 'width', 'height', 'size', 'mimetype',
+  's3Location', 'originalLocation', 'thumbnailUrl', 'placeholder', 'focalPoint',
+  'animated', 'processingStatus', 'uploadedBy', 'createdAt', 'updatedAt'
+];
+const ALBUM_FIELDS = [
+  'id', 'title', 'description', 'photoCount', 'coverPhoto', 'coverFocalPoint',
+  'createdBy', 'createdAt', 'updatedAt'
+];
+
+// Extra data added with `include`
+const PHOTO_INCLUDES = ['derivatives', 'exif', 'albums', 'animation'];
+const ALBUM_INCLUDES = ['photos'];
+
+const FIELDS = { photos: PHOTO_FIELDS, albums: ALBUM_FIELDS };
+// Album responses also take the photo includes, applied to their photos
+const INCLUDES = { photos: PHOTO_INCLUDES, albums: [...ALBUM_INCLUDES, ...PHOTO_INCLUDES] };
+
+// Raised when `fields` or `include` names something that does not exist
+class FieldsetError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FieldsetError';
+    this.details = details;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.details };
+  }
+}
+
+// Comma-separated list from a query value, which may be repeated
+const parseList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Parse `?fields=` and `?include=` for a response about `type` ('photos' or
+// 'albums'). `fields=a,b` trims the response's own resources, and
+// `fields[photos]=`/`fields[albums]=` trim either type. `id` is always kept.
+const parseFieldsets = (query = {}, type) => {
+  const include = new Set(parseList(query.include || []));
+  for (const name of include) {
+    if (!INCLUDES[type].includes(name)) {
+      throw new FieldsetError(`include must be one of ${INCLUDES[type].join(', ')}`, { param: 'include', allowed: INCLUDES[type] });
+    }
+  }
+
+  const requested = query.fields === undefined || query.fields === ''
+    ? {}
+    : typeof query.fields === 'object' && !Array.isArray(query.fields) ? query.fields : { [type]: query.fields };
+
+  const fields = { photos: null, albums: null };
+  for (const [resource, value] of Object.entries(requested)) {
+    if (!Object.keys(FIELDS).includes(resource)) {
+      throw new FieldsetError('fields can be given for photos and albums', { param: 'fields', allowed: Object.keys(FIELDS) });
+    }
+    const names = parseList(value);
+    for (const name of names) {
+      if (!FIELDS[resource].includes(name)) {
+        throw new FieldsetError(`${resource} fields must be among ${FIELDS[resource].join(', ')}`, { param: 'fields', allowed: FIELDS[resource] });
+      }
+    }
+    fields[resource] = new Set(['id', ...names]);
+  }
+
+  return { fields, include };
+};
+
+// Keep only the requested attributes
+const pick = (attributes, fields) => {
+  if (!fields) return attributes;
+  return Object.fromEntries(Object.entries(attributes).filter(([name]) => fields.has(name)));
+};
+
+// Builds photo and album responses so every route returns the same shapes.
+// Other users only get a photo's original when it carries no watermark and
+// its EXIF privacy allows it; owners always do.
+class ResponseSerializer {
+  constructor() {
+    this.mediaUrls = new MediaUrlResolver();
+    this.privacyService = new ExifPrivacyService();
+    this.watermarkService = new WatermarkService();
+  }
+
+  // Serialize photos. Populate `uploadedBy` (username exifPrivacy) so
+  // other users' privacy settings and usernames are known.
+  async photos(photos, { viewer = null, fieldsets = parseFieldsets({}, 'photos') } = {}) {
+    const url = await this.mediaUrls.forPhotos(photos);
+    const albums = fieldsets.include.has('albums') ? await this.albumTitles(photos) : null;
+    const watermarks = await this.watermarkService.resolveAll(photos.filter(photo => !this.isOwner(photo, viewer)));
+
+    return photos.map(photo => this.serializePhoto(photo, { viewer, fieldsets, url, albums, watermarks }));
+  }
+
+  async photo(photo, options) {
+    const [serialized] = await this.photos([photo], options);
+    return serialized;
+  }
+
+  // Serialize albums. Populate `coverPhoto` (thumbnailS3Key focalPoint),
+  // `createdBy` (username) and the visible `photos`, in full when they are
+  // included.
+  async albums(albums, { viewer = null, fieldsets = parseFieldsets({}, 'albums') } = {}) {
+    const url = await this.mediaUrls.resolve(albums.map(album => album.coverPhoto?.thumbnailS3Key));
+    const photos = fieldsets.include.has('photos')
+      ? await this.photos(albums.flatMap(album => album.photos), { viewer, fieldsets })
+      : null;
+
+    let offset = 0;
+    return albums.map(album => {
+      const attributes = pick({
+        id: album._id,
+        title: album.title,
+        description: album.description,
+        photoCount: album.photos.length,
+        coverPhoto: url(album.coverPhoto?.thumbnailS3Key),
+        coverFocalPoint: album.coverPhoto?.focalPoint || null,
+        createdBy: album.createdBy?.username || null,
+        createdAt: album.createdAt,
+        updatedAt: album.updatedAt
+      }, fieldsets.fields.albums);
+
+      if (photos) {
+        attributes.photos = photos.slice(offset, offset + album.photos.length);
+        offset += album.photos.length;
+      }
+      return attributes;
+    });
+  }
+
+  async album(album, options) {
+    const [serialized] = await this.albums([album], options);
+    return serialized;
+  }
+
+  isOwner(photo, viewer) {
+    return Boolean(viewer) && String(photo.uploadedBy?._id || photo.uploadedBy) === String(viewer._id);
+  }
+
+  serializePhoto(photo, { viewer, fieldsets, url, albums, watermarks }) {
+    const owner = this.isOwner(photo, viewer);
+    // The populated uploader, or the viewer for their own photos
+    const uploader = photo.uploadedBy?.username !== undefined ? photo.uploadedBy : (owner ? viewer : null);
+
+    // A protected original falls back to the thumbnail until its display
+    // rendition exists
+    const watermarked = !owner && Boolean(watermarks.get(String(photo._id)));
+    const exposed = owner || (!watermarked && this.privacyService.exposesOriginal(photo, uploader));
+    // Until its watermarked copies are rendered, a watermarked photo still
+    // points at the clean shared derivatives, which other users never get
+    const pending = watermarked && !photo.renditionVariant;
+    const link = (key) => (pending ? null : url(key));
+
+    let location = link(photo.displayS3Key || photo.s3Key);
+    if (!exposed && !photo.displayS3Key) {
+      location = link(photo.thumbnailS3Key);
+    }
+
+    // Dimensions of the displayed image (after edits), once processed
+    const dimensions = photo.placeholder || photo.metadata || {};
+
+    const attributes = pick({
+      id: photo._id,
+      title: photo.title,
+      description: photo.description,
+      width: dimensions.width || null,
+      height: dimensions.height || null,
+      size: photo.size,
+      mimetype: photo.mimetype,
+      s3Location: location,
+      originalLocation: exposed ? url(photo.s3Key) : null,
+      thumbnailUrl: link(photo.thumbnailS3Key),
+      placeholder: photo.placeholder || null,
+      focalPoint: photo.focalPoint || null,
+      animated: !pending && Boolean(photo.metadata?.animation && (photo.animatedThumbnailS3Key || photo.animatedDisplayS3Key)),
+      processingStatus: photo.processingStatus,
+      uploadedBy: uploader ? uploader.username : null,
+      createdAt: photo.createdAt,
+      updatedAt: photo.updatedAt
+    }, fieldsets.fields.photos);
+
+    const { include } = fieldsets;
+    if (include.has('derivatives')) {
+      attributes.derivatives = this.derivatives(photo, link);
+    }
+    if (include.has('exif')) {
+      attributes.exif = owner ? photo.metadata?.exif || null : this.privacyService.publicExif(photo, uploader);
+      if (owner) attributes.exifPrivacy = photo.exifPrivacy;
+    }
+    if (include.has('albums')) {
+      attributes.albums = (photo.albums || []).map(id => albums.get(String(id))).filter(Boolean);
+    }
+    if (include.has('animation')) {
+      attributes.animation = this.animation(photo, link);
+    }
+    return attributes;
+  }
+
+  // URLs of the responsive renditions, keyed by format, for srcset/<picture>
+  derivatives(photo, url) {
+    const urls = {};
+    for (const [format, renditions] of photo.derivatives || []) {
+      urls[format] = renditions.map(rendition => ({
+        width: rendition.width,
+        height: rendition.height,
+        url: url(rendition.key)
+      }));
+    }
+    return urls;
+  }
+
+  // Frames, timing and animated derivatives of animated GIF/WebP photos.
+  // Edited or watermarked animations have no animated derivatives.
+  animation(photo, url) {
+    const animation = photo.metadata?.animation;
+    if (!animation) return null;
+
+    return {
+      frames: animation.frames,
+      duration: animation.duration,
+      loop: animation.loop,
+      thumbnailUrl: url(photo.animatedThumbnailS3Key),
+      url: url(photo.animatedDisplayS3Key)
+    };
+  }
+
+  // Titles of the photos' albums by id, leaving out trashed albums
+  async albumTitles(photos) {
+    const ids = [...new Set(photos.flatMap(photo => (photo.albums || []).map(String)))];
+    if (ids.length === 0) return new Map();
+
+    const albums = await Album.find({ _id: { $in: ids }, deletedAt: null }, 'title').lean();
+    return new Map(albums.map(album => [String(album._id), { id: album._id, title: album.title }]));
+  }
+}
+
+module.exports = {
+  ResponseSerializer,
+  FieldsetError,
+  parseFieldsets,
+  PHOTO_INCLUDES
+};
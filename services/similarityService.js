@@ -0,0 +1,185 @@
+const Photo = require('../models/Photo');
+const { IMAGE_CONFIG } = require('../config/images');
+
+// Hashes are looked up by their four 16-bit bands
+const BANDS = 4;
+const BAND_BITS = 16;
+
+// Number of differing bits between two 64-bit hashes
+const popcount = (value) => {
+  let count = 0;
+  while (value) {
+    value &= value - 1n;
+    count++;
+  }
+  return count;
+};
+
+// Every 16-bit value within `radius` bits of `value`
+const nearbyValues = (value, radius, from = 0) => {
+  const values = [value];
+  if (radius === 0) return values;
+  for (let bit = from; bit < BAND_BITS; bit++) {
+    values.push(...nearbyValues(value ^ (1 << bit), radius - 1, bit + 1));
+  }
+  return values;
+};
+
+// Band keys (as stored in perceptualHashBands) that a hash within
+// `threshold` bits of `hash` must share at least one of: spread over four
+// bands, some band differs by at most a quarter of the threshold
+const nearbyBands = (hash, threshold) => {
+  const radius = Math.floor(threshold / BANDS);
+  return Photo.hashBands(hash).flatMap((key, band) => {
+    const value = parseInt(key.slice(key.indexOf(':') + 1), 16);
+    return nearbyValues(value, radius).map(nearby => `${band}:${nearby.toString(16).padStart(4, '0')}`);
+  });
+};
+
+// Let other requests run between batches of in-memory comparisons
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Finds visually similar photos by comparing perceptual hashes. Hamming
+// distance has no index in MongoDB, so candidates sharing a nearby hash band
+// are found through the perceptualHashBands index and compared in memory;
+// only their ids and hashes are loaded.
+class PhotoSimilarityService {
+  constructor() {
+    this.config = IMAGE_CONFIG.similarity;
+  }
+
+  // Uploaded, non-trashed photos with a perceptual hash
+  async candidates(query = {}) {
+    const photos = await Photo.find({
+      ...query,
+      perceptualHash: { $ne: null },
+      uploadStatus: { $ne: 'pending' },
+      deletedAt: null
+    }).select('perceptualHash').lean();
+
+    return photos.map(photo => ({ ...photo, bits: BigInt(`0x${photo.perceptualHash}`) }));
+  }
+
+  // Store the hash bands of photos hashed before they were indexed
+  async indexMissing({ batchSize = 500 } = {}) {
+    let indexed = 0;
+    for (;;) {
+      const photos = await Photo.find({
+        perceptualHash: { $ne: null },
+        'perceptualHashBands.0': { $exists: false }
+      }).select('perceptualHash').limit(batchSize).lean();
+      if (photos.length === 0) return indexed;
+
+      await Photo.bulkWrite(photos.map(photo => ({
+        updateOne: {
+          filter: { _id: photo._id },
+          update: { perceptualHashBands: Photo.hashBands(photo.perceptualHash) }
+        }
+      })));
+      indexed += photos.length;
+    }
+  }
+
+  // Photos within `threshold` of the given photo, closest first. Each is
+  // returned as { photo, distance } with the photo's owner populated.
+  async findSimilar(photo, { threshold = this.config.similarThreshold, limit = 20 } = {}) {
+    if (!photo.perceptualHash) return [];
+
+    const target = BigInt(`0x${photo.perceptualHash}`);
+    // Every band match is compared; only ids and hashes are loaded, and the
+    // closest are kept after sorting
+    const candidates = await this.candidates({
+      _id: { $ne: photo._id },
+      perceptualHashBands: { $in: nearbyBands(photo.perceptualHash, threshold) }
+    });
+    const matches = candidates
+      .map(candidate => ({ id: candidate._id, distance: popcount(candidate.bits ^ target) }))
+      .filter(match => match.distance <= threshold)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+
+    const photos = await Photo.find({ _id: { $in: matches.map(match => match.id) } })
+      .populate('uploadedBy', 'username exifPrivacy');
+    const byId = new Map(photos.map(match => [match._id.toString(), match]));
+
+    return matches
+      .filter(match => byId.has(match.id.toString()))
+      .map(match => ({ photo: byId.get(match.id.toString()), distance: match.distance }));
+  }
+
+  // Groups of a user's photos that look like the same shot (burst shots,
+  // resized or re-compressed copies). Photos join a group when they are
+  // within `threshold` of any member. Largest groups first, each ordered
+  // oldest first, as { photos, maxDistance } where maxDistance is the
+  // largest distance between two photos that linked the group.
+  async findDuplicateGroups(userId, { threshold = this.config.duplicateThreshold } = {}) {
+    const photos = await this.candidates({ uploadedBy: userId });
+
+    // Photos by hash band, so each photo is only compared with photos
+    // sharing a nearby band
+    const buckets = new Map();
+    photos.forEach((photo, index) => {
+      for (const key of Photo.hashBands(photo.perceptualHash)) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    });
+
+    // Union-find over every close pair
+    const parent = photos.map((photo, index) => index);
+    const root = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const maxDistance = new Map();
+
+    for (let i = 0; i < photos.length; i++) {
+      if (i > 0 && i % 200 === 0) await yieldToEventLoop();
+
+      const compared = new Set();
+      for (const key of nearbyBands(photos[i].perceptualHash, threshold)) {
+        for (const j of buckets.get(key) || []) {
+          if (j <= i || compared.has(j)) continue;
+          compared.add(j);
+
+          const distance = popcount(photos[i].bits ^ photos[j].bits);
+          if (distance > threshold) continue;
+
+          const a = root(i);
+          const b = root(j);
+          const merged = Math.max(distance, maxDistance.get(a) || 0, maxDistance.get(b) || 0);
+          parent[b] = a;
+          maxDistance.set(a, merged);
+        }
+      }
+    }
+
+    const groups = new Map();
+    photos.forEach((photo, index) => {
+      const group = root(index);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(photo._id);
+    });
+
+    const duplicates = [...groups.entries()].filter(([, ids]) => ids.length > 1);
+    const documents = await Photo.find({ _id: { $in: duplicates.flatMap(([, ids]) => ids) } })
+      .sort({ createdAt: 1 });
+
+    return duplicates
+      .map(([group, ids]) => {
+        const members = new Set(ids.map(id => id.toString()));
+        return {
+          photos: documents.filter(photo => members.has(photo._id.toString())),
+          maxDistance: maxDistance.get(group) || 0
+        };
+      })
+      .sort((a, b) => b.photos.length - a.photos.length);
+  }
+}
+
+module.exports = {
+  PhotoSimilarityService
+};
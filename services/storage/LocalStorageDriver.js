@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const mime = require('mime-types');
+const { STORAGE_CONFIG } = require('../../config/storage');
+
+// Storage driver backed by a directory on local disk, served by the
+// `/uploads` static route in server.js
+class LocalStorageDriver {
+  constructor(options = STORAGE_CONFIG.local) {
+    this.name = 'local';
+    this.root = path.resolve(options.root);
+    this.publicPath = options.publicPath;
+    this.uploadPath = options.uploadPath;
+    this.signingSecret = options.signingSecret;
+    this.presignedPostExpires = options.presignedPostExpires;
+    // Dot-directory so the static route never serves in-progress parts
+    this.multipartRoot = path.join(this.root, '.multipart');
+  }
+
+  // Resolve a storage key to an absolute path inside the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Store a buffer or readable stream under the given key
+  async put(key, body, { contentType } = {}) {
+    try {
+      const filePath = this.resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temp file first so readers never see a partial object
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+
+      const stats = await fs.promises.stat(filePath);
+      return {
+        key,
+        location: this.getPublicUrl(key),
+        size: stats.size,
+        contentType: contentType || mime.lookup(key) || 'application/octet-stream'
+      };
+    } catch (error) {
+      console.error('Local storage write error:', error);
+      throw new Error(`Failed to write file to local storage: ${error.message}`);
+    }
+  }
+
+  // Open a readable stream for the object
+  async getStream(key) {
+    try {
+      const filePath = this.resolve(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    } catch (error) {
+      console.error('Local storage read error:', error);
+      throw new Error(`Failed to read file from local storage: ${error.message}`);
+    }
+  }
+
+  // Delete the object (missing objects are not an error)
+  async delete(key) {
+    try {
+      await fs.promises.rm(this.resolve(key), { force: true });
+      return { success: true };
+    } catch (error) {
+      console.error('Local storage delete error:', error);
+      throw new Error(`Failed to delete file from local storage: ${error.message}`);
+    }
+  }
+
+  // Get object metadata, or null when the object does not exist
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return {
+        key,
+        size: stats.size,
+        contentType: mime.lookup(key) || 'application/octet-stream',
+        lastModified: stats.mtime,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        metadata: {}
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error('Local storage stat error:', error);
+      throw new Error(`Failed to get file metadata from local storage: ${error.message}`);
+    }
+  }
+
+  // List every stored object under a key prefix. Skips dot-directories such
+  // as in-progress multipart uploads, and temp files from unfinished writes.
+  async *list(prefix = '') {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name.endsWith('.tmp')) continue;
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(entryPath);
+        } else if (entry.isFile()) {
+          yield entryPath;
+        }
+      }
+    };
+
+    try {
+      // Only walk the directory the prefix points into
+      const slash = prefix.lastIndexOf('/');
+      const start = slash > 0 ? this.resolve(prefix.slice(0, slash)) : this.root;
+
+      for await (const filePath of walk(start)) {
+        const key = path.relative(this.root, filePath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const stats = await fs.promises.stat(filePath);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    } catch (error) {
+      console.error('Local storage list error:', error);
+      throw new Error(`Failed to list local storage: ${error.message}`);
+    }
+  }
+
+  // Start a multipart upload, returning its upload id
+  async createMultipartUpload(key, { contentType } = {}) {
+    try {
+      this.resolve(key);
+      const uploadId = crypto.randomBytes(16).toString('hex');
+      const uploadDir = path.join(this.multipartRoot, uploadId);
+      await fs.promises.mkdir(uploadDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(uploadDir, 'upload.json'),
+        JSON.stringify({ key, contentType, createdAt: new Date().toISOString() })
+      );
+      return uploadId;
+    } catch (error) {
+      console.error('Local storage create multipart upload error:', error);
+      throw new Error(`Failed to start multipart upload: ${error.message}`);
+    }
+  }
+
+  // Resolve the part directory for an upload, checking it belongs to the key
+  async resolveUpload(key, uploadId) {
+    if (!/^[a-f0-9]+$/.test(uploadId)) {
+      throw new Error(`Invalid upload id: ${uploadId}`);
+    }
+    const uploadDir = path.join(this.multipartRoot, uploadId);
+    const upload = JSON.parse(await fs.promises.readFile(path.join(uploadDir, 'upload.json'), 'utf8'));
+    if (upload.key !== key) {
+      throw new Error('Upload id does not match key');
+    }
+    return uploadDir;
+  }
+
+  // Upload one numbered part of a multipart upload
+  async uploadPart(key, uploadId, partNumber, body) {
+    try {
+      const uploadDir = await this.resolveUpload(key, uploadId);
+      const partPath = path.join(uploadDir, `part-${partNumber}`);
+      await fs.promises.writeFile(`${partPath}.tmp`, body);
+      await fs.promises.rename(`${partPath}.tmp`, partPath);
+      const stats = await fs.promises.stat(partPath);
+      return {
+        partNumber,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        size: stats.size
+      };
+    } catch (error) {
+      console.error('Local storage upload part error:', error);
+      throw new Error(`Failed to upload part ${partNumber}: ${error.message}`);
+    }
+  }
+
+  // List the parts uploaded so far, ordered by part number
+  async listParts(key, uploadId) {
+    try {
+      const uploadDir = await this.resolveUpload(key, uploadId);
+      const entries = await fs.promises.readdir(uploadDir);
+      const parts = await Promise.all(entries
+        .filter(entry => /^part-\d+$/.test(entry))
+        .map(async entry => {
+          const stats = await fs.promises.stat(path.join(uploadDir, entry));
+          return {
+            partNumber: parseInt(entry.slice('part-'.length), 10),
+            etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+            size: stats.size
+          };
+        }));
+      return parts.sort((a, b) => a.partNumber - b.partNumber);
+    } catch (error) {
+      console.error('Local storage list parts error:', error);
+      throw new Error(`Failed to list uploaded parts: ${error.message}`);
+    }
+  }
+
+  // Assemble the uploaded parts into the final object
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      const uploadDir = await this.resolveUpload(key, uploadId);
+      const filePath = this.resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      const tempPath = `${filePath}.${uploadId}.tmp`;
+      const output = fs.createWriteStream(tempPath);
+      for (const part of parts) {
+        await pipeline(fs.createReadStream(path.join(uploadDir, `part-${part.partNumber}`)), output, { end: false });
+      }
+      await new Promise((resolve, reject) => {
+        output.on('error', reject);
+        output.end(resolve);
+      });
+      await fs.promises.rename(tempPath, filePath);
+      await fs.promises.rm(uploadDir, { recursive: true, force: true });
+
+      return { key, location: this.getPublicUrl(key) };
+    } catch (error) {
+      console.error('Local storage complete multipart upload error:', error);
+      throw new Error(`Failed to complete multipart upload: ${error.message}`);
+    }
+  }
+
+  // Abort a multipart upload and discard its parts
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      const uploadDir = await this.resolveUpload(key, uploadId);
+      await fs.promises.rm(uploadDir, { recursive: true, force: true });
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: true };
+      }
+      console.error('Local storage abort multipart upload error:', error);
+      throw new Error(`Failed to abort multipart upload: ${error.message}`);
+    }
+  }
+
+  // URL of an object on the static route. Signed URLs carry an expiry and
+  // signature, which the route requires for photo originals.
+  async getUrl(key, { signed = false, expiresIn = 60 * 60 } = {}) {
+    if (!signed) {
+      return this.getPublicUrl(key);
+    }
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getPublicUrl(key)}?expires=${expires}&signature=${this.sign(`${key}:${expires}`)}`;
+  }
+
+  // Whether the query of a URL signed by getUrl is valid for the key
+  verifyUrl(key, { expires, signature } = {}) {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(`${key}:${expires}`));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Create a signed upload policy for the local upload route, mirroring S3 presigned POST
+  async createPresignedPost(key, { contentType, maxSize, keyPrefix, expiresIn = this.presignedPostExpires } = {}) {
+    const policy = Buffer.from(JSON.stringify({
+      key,
+      keyPrefix: keyPrefix || key,
+      contentType,
+      maxSize,
+      expires: Date.now() + expiresIn * 1000
+    })).toString('base64');
+
+    return {
+      url: this.uploadPath,
+      fields: {
+        key,
+        'Content-Type': contentType,
+        policy,
+        signature: this.sign(policy)
+      }
+    };
+  }
+
+  // Verify a policy created by createPresignedPost, returning its conditions
+  verifyPresignedPost({ key, policy, signature } = {}) {
+    if (!policy || !signature) {
+      throw new Error('Missing upload policy');
+    }
+
+    const expected = Buffer.from(this.sign(policy));
+    const actual = Buffer.from(String(signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid upload policy signature');
+    }
+
+    const conditions = JSON.parse(Buffer.from(policy, 'base64').toString('utf8'));
+    if (conditions.expires < Date.now()) {
+      throw new Error('Upload policy has expired');
+    }
+    if (key !== conditions.key || !key.startsWith(conditions.keyPrefix)) {
+      throw new Error('Upload key does not match policy');
+    }
+
+    return conditions;
+  }
+
+  sign(value) {
+    if (!this.signingSecret) {
+      throw new Error('Local storage signing secret is not configured');
+    }
+    return crypto.createHmac('sha256', this.signingSecret).update(value).digest('hex');
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicPath}/${key}`;
+  }
+}
+
+module.exports = {
+  LocalStorageDriver
+};
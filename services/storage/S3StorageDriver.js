@@ -0,0 +1,273 @@
+const {
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createPresignedPost } = require('@aws-sdk/s3-presigned-post');
+const { s3Client, S3_CONFIG } = require('../../config/aws');
+
+// Storage driver backed by an S3 bucket
+class S3StorageDriver {
+  constructor() {
+    this.name = 's3';
+    this.bucket = S3_CONFIG.bucket;
+    this.region = S3_CONFIG.region;
+  }
+
+  // Store a buffer or readable stream under the given key
+  async put(key, body, { contentType, metadata = {} } = {}) {
+    try {
+      const upload = new Upload({
+        client: s3Client,
+        params: {
+          Bucket: this.bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          Metadata: metadata
+        }
+      });
+
+      const result = await upload.done();
+      return {
+        key,
+        location: this.getPublicUrl(key),
+        etag: result.ETag
+      };
+    } catch (error) {
+      console.error('S3 upload error:', error);
+      throw new Error(`Failed to upload file to S3: ${error.message}`);
+    }
+  }
+
+  // Open a readable stream for the object
+  async getStream(key) {
+    try {
+      const result = await s3Client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return result.Body;
+    } catch (error) {
+      console.error('S3 get error:', error);
+      throw new Error(`Failed to read file from S3: ${error.message}`);
+    }
+  }
+
+  // Delete the object (missing objects are not an error)
+  async delete(key) {
+    try {
+      await s3Client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return { success: true };
+    } catch (error) {
+      console.error('S3 delete error:', error);
+      throw new Error(`Failed to delete file from S3: ${error.message}`);
+    }
+  }
+
+  // Get object metadata, or null when the object does not exist
+  async head(key) {
+    try {
+      const result = await s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return {
+        key,
+        size: result.ContentLength,
+        contentType: result.ContentType,
+        lastModified: result.LastModified,
+        etag: result.ETag,
+        metadata: result.Metadata || {}
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      console.error('S3 head error:', error);
+      throw new Error(`Failed to get file metadata from S3: ${error.message}`);
+    }
+  }
+
+  // Get a URL the browser can load the object from
+  async getUrl(key, { signed = false, expiresIn = S3_CONFIG.signedUrlExpires } = {}) {
+    if (!signed) {
+      return this.getPublicUrl(key);
+    }
+
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      });
+      return await getSignedUrl(s3Client, command, { expiresIn });
+    } catch (error) {
+      console.error('Error generating signed URL:', error);
+      throw new Error(`Failed to generate signed URL: ${error.message}`);
+    }
+  }
+
+  // Create a presigned POST policy so the browser can upload straight to the bucket
+  async createPresignedPost(key, { contentType, maxSize, keyPrefix, expiresIn = S3_CONFIG.presignedPostExpires } = {}) {
+    try {
+      const { url, fields } = await createPresignedPost(s3Client, {
+        Bucket: this.bucket,
+        Key: key,
+        Conditions: [
+          ['content-length-range', 1, maxSize],
+          ['eq', '$Content-Type', contentType],
+          ['starts-with', '$key', keyPrefix || key]
+        ],
+        Fields: {
+          'Content-Type': contentType
+        },
+        Expires: expiresIn
+      });
+      return { url, fields };
+    } catch (error) {
+      console.error('Error generating presigned POST:', error);
+      throw new Error(`Failed to generate presigned POST: ${error.message}`);
+    }
+  }
+
+  // List every object under a key prefix, following pagination
+  async *list(prefix = '') {
+    let continuationToken;
+    try {
+      do {
+        const result = await s3Client.send(new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of result.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } catch (error) {
+      console.error('S3 list error:', error);
+      throw new Error(`Failed to list S3 objects: ${error.message}`);
+    }
+  }
+
+  // Start a multipart upload, returning its upload id
+  async createMultipartUpload(key, { contentType, metadata = {} } = {}) {
+    try {
+      const result = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: contentType,
+        Metadata: metadata
+      }));
+      return result.UploadId;
+    } catch (error) {
+      console.error('S3 create multipart upload error:', error);
+      throw new Error(`Failed to start multipart upload: ${error.message}`);
+    }
+  }
+
+  // Upload one numbered part of a multipart upload
+  async uploadPart(key, uploadId, partNumber, body) {
+    try {
+      const result = await s3Client.send(new UploadPartCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+        ContentLength: body.length
+      }));
+      return { partNumber, etag: result.ETag, size: body.length };
+    } catch (error) {
+      console.error('S3 upload part error:', error);
+      throw new Error(`Failed to upload part ${partNumber}: ${error.message}`);
+    }
+  }
+
+  // List the parts uploaded so far, ordered by part number
+  async listParts(key, uploadId) {
+    try {
+      const parts = [];
+      let partNumberMarker;
+
+      do {
+        const result = await s3Client.send(new ListPartsCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: partNumberMarker
+        }));
+
+        (result.Parts || []).forEach(part => parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size
+        }));
+        partNumberMarker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+      } while (partNumberMarker);
+
+      return parts;
+    } catch (error) {
+      console.error('S3 list parts error:', error);
+      throw new Error(`Failed to list uploaded parts: ${error.message}`);
+    }
+  }
+
+  // Assemble the uploaded parts into the final object
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+      return { key, location: this.getPublicUrl(key) };
+    } catch (error) {
+      console.error('S3 complete multipart upload error:', error);
+      throw new Error(`Failed to complete multipart upload: ${error.message}`);
+    }
+  }
+
+  // Abort a multipart upload and discard its parts
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId
+      }));
+      return { success: true };
+    } catch (error) {
+      if (error.name === 'NoSuchUpload') {
+        return { success: true };
+      }
+      console.error('S3 abort multipart upload error:', error);
+      throw new Error(`Failed to abort multipart upload: ${error.message}`);
+    }
+  }
+
+  getPublicUrl(key) {
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = {
+  S3StorageDriver
+};
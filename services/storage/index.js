@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { STORAGE_CONFIG } = require('../../config/storage');
+
+// Create the storage driver selected by config
+const createStorageDriver = (driver = STORAGE_CONFIG.driver) => {
+  switch (driver) {
+    case 's3': {
+      const { S3StorageDriver } = require('./S3StorageDriver');
+      return new S3StorageDriver();
+    }
+    case 'local': {
+      const { LocalStorageDriver } = require('./LocalStorageDriver');
+      return new LocalStorageDriver();
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const storage = createStorageDriver();
+
+// Multer storage engine that streams uploads into a storage driver.
+// Sets `key`, `location` and `size` on `req.file`, matching multer-s3, plus
+// the SHA-256 `contentHash` of the uploaded bytes.
+class DriverStorageEngine {
+  constructor({ driver = storage, key, metadata }) {
+    this.driver = driver;
+    this.getKey = key;
+    this.getMetadata = metadata || ((req, file, cb) => cb(null, {}));
+  }
+
+  _handleFile(req, file, cb) {
+    this.getKey(req, file, (keyError, key) => {
+      if (keyError) return cb(keyError);
+
+      this.getMetadata(req, file, (metadataError, metadata) => {
+        if (metadataError) return cb(metadataError);
+
+        let size = 0;
+        const hash = crypto.createHash('sha256');
+        // Count and hash in transform() so the stream stays paused until the
+        // driver starts reading it
+        const counter = new Transform({
+          transform(chunk, encoding, done) {
+            size += chunk.length;
+            hash.update(chunk);
+            done(null, chunk);
+          }
+        });
+        file.stream.pipe(counter);
+
+        this.driver.put(key, counter, { contentType: file.mimetype, metadata })
+          .then(result => cb(null, {
+            key: result.key,
+            location: result.location,
+            etag: result.etag,
+            size,
+            contentHash: hash.digest('hex')
+          }))
+          .catch(cb);
+      });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    this.driver.delete(file.key)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+}
+
+module.exports = {
+  storage,
+  createStorageDriver,
+  DriverStorageEngine
+};
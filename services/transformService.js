@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const Photo = require('../models/Photo');
+const { storage } = require('./storage');
+const { LambdaImageProcessingService } = require('./lambdaService');
+const { WatermarkService } = require('./watermarkService');
+const { IMAGE_CONFIG } = require('../config/images');
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+// Raised when transformation parameters are missing or not allow-listed
+class TransformParamsError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TransformParamsError';
+    this.details = details;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.details };
+  }
+}
+
+// Renders photos at sizes the processing pipeline does not pre-generate.
+// Each result is rendered once from the original (with the photo's edits
+// and watermark) and cached in storage under a key derived from the
+// parameters and the photo's current rendition variant, so it never changes
+// once written.
+class ImageTransformService {
+  constructor() {
+    this.config = IMAGE_CONFIG.transform;
+    this.imageProcessor = new LambdaImageProcessingService();
+    this.watermarkService = new WatermarkService();
+  }
+
+  // Validate query parameters (w, h, fit, fmt, q) against the allow-lists
+  parseParams(query) {
+    const { sizes, fits, formats, quality } = this.config;
+
+    const dimension = (name) => {
+      if (query[name] === undefined || query[name] === '') return null;
+      const value = Number(query[name]);
+      if (!sizes.includes(value)) {
+        throw new TransformParamsError(`${name} must be one of ${sizes.join(', ')}`, { param: name, allowed: sizes });
+      }
+      return value;
+    };
+
+    const width = dimension('w');
+    const height = dimension('h');
+    if (!width && !height) {
+      throw new TransformParamsError('w or h is required', { allowed: sizes });
+    }
+
+    const fit = query.fit || 'cover';
+    if (!fits.includes(fit)) {
+      throw new TransformParamsError(`fit must be one of ${fits.join(', ')}`, { param: 'fit', allowed: fits });
+    }
+
+    const format = query.fmt === 'jpg' ? 'jpeg' : (query.fmt || 'jpeg');
+    if (!formats.includes(format)) {
+      throw new TransformParamsError(`fmt must be one of ${formats.join(', ')}`, { param: 'fmt', allowed: formats });
+    }
+
+    const q = query.q === undefined || query.q === '' ? quality.default : Number(query.q);
+    if (!Number.isInteger(q) || q < quality.min || q > quality.max) {
+      throw new TransformParamsError(`q must be an integer from ${quality.min} to ${quality.max}`, { param: 'q' });
+    }
+
+    return { width, height, fit, format, quality: q };
+  }
+
+  // Storage key of a photo's transformation. Edited or watermarked photos
+  // get a new variant when they change, which retires the old keys.
+  cacheKey(photo, { width, height, fit, format, quality }) {
+    const version = photo.renditionVariant || 'original';
+    const name = `${width || 'auto'}x${height || 'auto'}-${fit}-q${quality}.${EXTENSIONS[format]}`;
+    return `${this.config.keyPrefix}/${photo._id}/${version}/${name}`;
+  }
+
+  // Strong ETag for a cache key; the object behind a key never changes
+  etag(key) {
+    return `"${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}"`;
+  }
+
+  contentType(params) {
+    return `image/${params.format}`;
+  }
+
+  // Storage key of the rendered transformation, rendering it on first use
+  async render(photo, params) {
+    const key = this.cacheKey(photo, params);
+
+    if (await storage.head(key)) {
+      return key;
+    }
+
+    const watermark = await this.watermarkService.resolve(photo);
+    await this.imageProcessor.transformImage(photo.s3Key, {
+      ...params,
+      edits: photo.edits || null,
+      watermark,
+      focalPoint: photo.focalPoint ? { x: photo.focalPoint.x, y: photo.focalPoint.y } : null,
+      cropStrategy: IMAGE_CONFIG.crop.strategy,
+      outputKey: key
+    });
+
+    // Recorded so the file is deleted with the photo or its variant
+    await Photo.updateOne({ _id: photo._id }, { $addToSet: { transformKeys: key } });
+
+    return key;
+  }
+}
+
+module.exports = {
+  ImageTransformService,
+  TransformParamsError
+};
@@ -0,0 +1,122 @@
+const Photo = require('../models/Photo');
+const Album = require('../models/Album');
+const ProcessingJob = require('../models/ProcessingJob');
+const { ContentDedupService } = require('./dedupService');
+const { QuotaService } = require('./quotaService');
+const { TRASH_CONFIG } = require('../config/trash');
+
+// Soft deletion of photos and albums. Trashed items keep their album
+// memberships so restoring them puts everything back where it was; the purge
+// job deletes them for good once the retention period has passed.
+class TrashService {
+  constructor() {
+    this.retention = TRASH_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
+    this.interval = TRASH_CONFIG.purgeInterval;
+    this.dedupService = new ContentDedupService();
+    this.quotaService = new QuotaService();
+    this.timer = null;
+  }
+
+  // When an item trashed at `deletedAt` will be purged
+  purgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + this.retention);
+  }
+
+  async trash(doc) {
+    doc.deletedAt = new Date();
+    await doc.save();
+    return doc;
+  }
+
+  async restore(doc) {
+    doc.deletedAt = null;
+    await doc.save();
+    return doc;
+  }
+
+  // Permanently delete a photo, its stored files and its album memberships.
+  // Trashed photos still count against the quota until they are purged.
+  async purgePhoto(photo) {
+    try {
+      await this.dedupService.release(photo);
+    } catch (storageError) {
+      console.error('S3 deletion error:', storageError);
+      // Continue with database deletion even if S3 deletion fails
+    }
+
+    await Photo.deleteOne({ _id: photo._id });
+    await ProcessingJob.deleteMany({ photo: photo._id });
+    if (photo.uploadStatus !== 'pending') {
+      await this.quotaService.release(photo.uploadedBy, photo.size);
+    }
+
+    const albums = await Album.find({ photos: photo._id });
+    for (const album of albums) {
+      album.photos.pull(photo._id);
+      if (album.coverPhoto && album.coverPhoto.equals(photo._id)) {
+        album.coverPhoto = album.photos.length > 0 ? album.photos[0] : null;
+      }
+      await album.save();
+    }
+  }
+
+  // Permanently delete an album. Its photos are kept.
+  async purgeAlbum(album) {
+    await Photo.updateMany(
+      { albums: album._id },
+      { $pull: { albums: album._id } }
+    );
+    await Album.deleteOne({ _id: album._id });
+  }
+
+  // Purge everything trashed longer than the retention period
+  async purgeExpired() {
+    try {
+      const cutoff = new Date(Date.now() - this.retention);
+      const photos = await Photo.find({ deletedAt: { $ne: null, $lt: cutoff } });
+      const albums = await Album.find({ deletedAt: { $ne: null, $lt: cutoff } });
+
+      for (const photo of photos) {
+        try {
+          await this.purgePhoto(photo);
+        } catch (error) {
+          console.error(`Failed to purge photo ${photo._id}:`, error);
+        }
+      }
+
+      for (const album of albums) {
+        try {
+          await this.purgeAlbum(album);
+        } catch (error) {
+          console.error(`Failed to purge album ${album._id}:`, error);
+        }
+      }
+
+      if (photos.length > 0 || albums.length > 0) {
+        console.log(`Purged ${photos.length} photos and ${albums.length} albums from trash`);
+      }
+      return { photos: photos.length, albums: albums.length };
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      throw new Error(`Failed to purge trash: ${error.message}`);
+    }
+  }
+
+  // Run the purge periodically
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(() => {});
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  TrashService
+};
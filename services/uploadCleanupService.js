@@ -0,0 +1,92 @@
+const Photo = require('../models/Photo');
+const UploadSession = require('../models/UploadSession');
+const { storage } = require('./storage');
+const { STORAGE_CONFIG } = require('../config/storage');
+
+// Cleans up abandoned resumable upload sessions and never-finalized direct uploads
+class UploadCleanupService {
+  constructor() {
+    this.interval = STORAGE_CONFIG.multipart.cleanupInterval;
+    this.timer = null;
+  }
+
+  // Abort expired multipart uploads and remove their pending photos
+  async cleanupExpiredSessions() {
+    try {
+      const sessions = await UploadSession.find({
+        status: 'active',
+        expiresAt: { $lt: new Date() }
+      });
+
+      for (const session of sessions) {
+        try {
+          await storage.abortMultipartUpload(session.key, session.uploadId);
+          await Photo.deleteOne({ _id: session.photo, uploadStatus: 'pending' });
+          session.status = 'aborted';
+          await session.save();
+        } catch (error) {
+          console.error(`Failed to clean up upload session ${session._id}:`, error);
+        }
+      }
+
+      return { cleaned: sessions.length };
+    } catch (error) {
+      console.error('Upload session cleanup error:', error);
+      throw new Error(`Failed to clean up upload sessions: ${error.message}`);
+    }
+  }
+
+  // Remove pending photos whose presigned upload was never finalized
+  async cleanupStalePendingPhotos() {
+    try {
+      const cutoff = new Date(Date.now() - STORAGE_CONFIG.multipart.sessionTtl);
+      const activeSessionPhotos = await UploadSession.distinct('photo', { status: 'active' });
+      const photos = await Photo.find({
+        uploadStatus: 'pending',
+        createdAt: { $lt: cutoff },
+        _id: { $nin: activeSessionPhotos }
+      });
+
+      for (const photo of photos) {
+        try {
+          await storage.delete(photo.s3Key);
+          await Photo.deleteOne({ _id: photo._id });
+        } catch (error) {
+          console.error(`Failed to clean up pending photo ${photo._id}:`, error);
+        }
+      }
+
+      return { cleaned: photos.length };
+    } catch (error) {
+      console.error('Pending photo cleanup error:', error);
+      throw new Error(`Failed to clean up pending photos: ${error.message}`);
+    }
+  }
+
+  async run() {
+    const sessions = await this.cleanupExpiredSessions();
+    const photos = await this.cleanupStalePendingPhotos();
+    if (sessions.cleaned > 0 || photos.cleaned > 0) {
+      console.log(`Cleaned ${sessions.cleaned} upload sessions and ${photos.cleaned} pending photos`);
+    }
+    return { sessions: sessions.cleaned, photos: photos.cleaned };
+  }
+
+  // Run cleanup periodically
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.run().catch(() => {});
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  UploadCleanupService
+};
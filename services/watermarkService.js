@@ -0,0 +1,103 @@
+const Album = require('../models/Album');
+const User = require('../models/User');
+const { MediaUrlResolver } = require('./mediaUrlService');
+
+// Watermark settings fields clients may change (logos are set by upload)
+const SETTINGS_FIELDS = ['enabled', 'type', 'text', 'position', 'opacity', 'scale'];
+
+// Watermark settings for users and album overrides, and which watermark
+// applies to a given photo. Rendering is done by PhotoRenditionService.
+class WatermarkService {
+  constructor() {
+    this.mediaUrls = new MediaUrlResolver();
+  }
+
+  // Copy client-settable fields from a request body onto watermark settings
+  updateSettings(watermark, body) {
+    for (const field of SETTINGS_FIELDS) {
+      if (body[field] !== undefined) {
+        watermark[field] = body[field];
+      }
+    }
+    return watermark;
+  }
+
+  // Settings as returned by the API, with a URL for the uploaded logo
+  async serialize(watermark) {
+    if (!watermark) return null;
+    const { enabled, type, text, imageKey, position, opacity, scale } = watermark;
+    return {
+      enabled,
+      type,
+      text,
+      position,
+      opacity,
+      scale,
+      logoUrl: await this.mediaUrls.url(imageKey)
+    };
+  }
+
+  // Why enabled settings cannot be rendered, or null when they can
+  missingRequirement(watermark) {
+    if (!watermark.enabled) return null;
+    if (watermark.type === 'image' && !watermark.imageKey) return 'Upload a watermark logo first';
+    if (watermark.type === 'text' && !watermark.text) return 'Watermark text is required';
+    return null;
+  }
+
+  // Whether enabled settings have what they need to render
+  isRenderable(watermark) {
+    if (!watermark || !watermark.enabled) return false;
+    return watermark.type === 'image' ? Boolean(watermark.imageKey) : Boolean(watermark.text);
+  }
+
+  // The watermark that applies to a photo: the first of its albums with an
+  // override, otherwise the owner's settings. Null when none should be drawn.
+  async resolve(photo, owner = null) {
+    const albums = photo.albums.length > 0
+      ? await Album.find({ _id: { $in: photo.albums }, deletedAt: null, watermark: { $ne: null } })
+      : [];
+    const album = this.overridingAlbum(photo, albums);
+    const user = album ? null : owner || await User.findById(photo.uploadedBy);
+
+    return this.settingsFor(album ? album.watermark : user && user.watermark);
+  }
+
+  // resolve() for many photos at once, as a Map from photo id to watermark
+  async resolveAll(photos) {
+    if (photos.length === 0) return new Map();
+
+    const albumIds = [...new Set(photos.flatMap(photo => photo.albums.map(String)))];
+    const ownerIds = [...new Set(photos.map(photo => String(photo.uploadedBy?._id || photo.uploadedBy)))];
+
+    const albums = albumIds.length > 0
+      ? await Album.find({ _id: { $in: albumIds }, deletedAt: null, watermark: { $ne: null } })
+      : [];
+    const users = await User.find({ _id: { $in: ownerIds } }, 'watermark');
+
+    return new Map(photos.map(photo => {
+      const album = this.overridingAlbum(photo, albums);
+      const user = users.find(candidate => candidate._id.equals(photo.uploadedBy?._id || photo.uploadedBy));
+      return [String(photo._id), this.settingsFor(album ? album.watermark : user && user.watermark)];
+    }));
+  }
+
+  // The first of the photo's albums with a watermark override, if any
+  overridingAlbum(photo, albums) {
+    return photo.albums
+      .map(albumId => albums.find(candidate => candidate._id.equals(albumId)))
+      .find(Boolean);
+  }
+
+  // What the processor needs to draw a watermark, or null when none applies
+  settingsFor(watermark) {
+    if (!this.isRenderable(watermark)) return null;
+
+    const { type, text, imageKey, position, opacity, scale } = watermark;
+    return { type, text, imageKey, position, opacity, scale };
+  }
+}
+
+module.exports = {
+  WatermarkService
+};